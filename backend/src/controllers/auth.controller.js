@@ -1,7 +1,8 @@
 import { generateToken } from "../lib/utils.js";
 import User from "../models/user.model.js";
+import Upload from "../models/upload.model.js";
+import { deleteUnusedFiles } from "../lib/storage/index.js";
 import bcrypt from "bcryptjs";
-import cloudinary from "../lib/cloudinary.js";
 
 export const signup = async (req, res) => {
   const { fullName, email, password } = req.body;
@@ -87,26 +88,29 @@ export const logout = (req, res) => {
 
 export const updateProfile = async (req, res) => {
   try {
-    const { profilePic } = req.body;
+    // An image uploaded through POST /api/uploads
+    const { uploadId } = req.body;
     const userId = req.user._id;
 
-    if (!profilePic) {
+    if (!uploadId) {
       return res.status(400).json({ message: "Profile pic is required" });
     }
 
-    try {
-      const uploadResponse = await cloudinary.uploader.upload(profilePic);
-      const updatedUser = await User.findByIdAndUpdate(
-        userId,
-        { profilePic: uploadResponse.secure_url },
-        { new: true }
-      );
-
-      return res.status(200).json(updatedUser);
-    } catch (uploadError) {
-      console.error("Cloudinary upload error:", uploadError);
-      return res.status(500).json({ message: "Failed to upload image" });
+    const upload = await Upload.claim(uploadId, userId, "image");
+    if (!upload) {
+      return res.status(404).json({ message: "Upload not found" });
     }
+
+    // Avatars are small, so the thumbnail is enough
+    const profilePic = upload.variants?.thumbnail || upload.url;
+    const updatedUser = await User.findByIdAndUpdate(userId, { profilePic }, { new: true });
+
+    // The other sizes and the previous avatar are no longer shown anywhere
+    await deleteUnusedFiles(
+      [...upload.getFileUrls(), req.user.profilePic].filter((url) => url && url !== profilePic)
+    );
+
+    res.status(200).json(updatedUser);
   } catch (error) {
     console.error("Error in update profile:", error);
     res.status(500).json({ message: "Internal server error" });
@@ -0,0 +1,239 @@
+import mongoose from "mongoose";
+import Conversation from "../models/conversation.model.js";
+import User from "../models/user.model.js";
+import Upload from "../models/upload.model.js";
+
+import { deleteUnusedFiles } from "../lib/storage/index.js";
+import {
+  emitToConversation,
+  emitToUser,
+  joinConversationRoom,
+  leaveConversationRoom,
+} from "../lib/socket.js";
+
+const MAX_GROUP_NAME_LENGTH = 50;
+
+const MEMBER_FIELDS = "fullName profilePic";
+
+const isMember = (group, userId) => group.members.some((memberId) => memberId.equals(userId));
+const isAdmin = (group, userId) => group.admins.some((adminId) => adminId.equals(userId));
+
+// Load a group the given user belongs to, or null
+const findGroupForMember = async (conversationId, userId) => {
+  if (!mongoose.isValidObjectId(conversationId)) return null;
+
+  const group = await Conversation.findOne({ _id: conversationId, type: "group" });
+  if (!group || !isMember(group, userId)) return null;
+
+  return group;
+};
+
+// Keep only IDs of existing users
+const findExistingUserIds = async (userIds) => {
+  if (!Array.isArray(userIds)) return [];
+
+  const validIds = userIds.filter((id) => mongoose.isValidObjectId(id));
+  const users = await User.find({ _id: { $in: validIds } }).select("_id");
+  return users.map((user) => user._id);
+};
+
+export const getGroups = async (req, res) => {
+  try {
+    const groups = await Conversation.find({ type: "group", members: req.user._id })
+      .populate("members", MEMBER_FIELDS)
+      .sort({ updatedAt: -1 });
+
+    res.status(200).json(groups);
+  } catch (error) {
+    console.error("Error in getGroups: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const createGroup = async (req, res) => {
+  try {
+    const { name, memberIds } = req.body;
+    const myId = req.user._id;
+
+    const groupName = typeof name === "string" ? name.trim() : "";
+    if (!groupName || groupName.length > MAX_GROUP_NAME_LENGTH) {
+      return res.status(400).json({ message: "Group name is required" });
+    }
+
+    const otherMemberIds = (await findExistingUserIds(memberIds)).filter((id) => !id.equals(myId));
+    if (otherMemberIds.length === 0) {
+      return res.status(400).json({ message: "Add at least one other member" });
+    }
+
+    const members = [myId, ...otherMemberIds];
+    const group = await Conversation.create({
+      type: "group",
+      name: groupName,
+      members,
+      admins: [myId],
+      createdBy: myId,
+      lastReadAt: Object.fromEntries(members.map((id) => [id.toString(), new Date()])),
+    });
+
+    group.members.forEach((memberId) => joinConversationRoom(memberId, group._id));
+
+    await group.populate("members", MEMBER_FIELDS);
+    emitToConversation(group._id, "groupUpdated", group, myId);
+
+    res.status(201).json(group);
+  } catch (error) {
+    console.error("Error in createGroup: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Rename the group or change its avatar; open to every member
+export const updateGroup = async (req, res) => {
+  try {
+    // avatarUploadId is an image uploaded through POST /api/uploads
+    const { name, avatarUploadId } = req.body;
+    const myId = req.user._id;
+
+    const group = await findGroupForMember(req.params.id, myId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (name !== undefined) {
+      const groupName = typeof name === "string" ? name.trim() : "";
+      if (!groupName || groupName.length > MAX_GROUP_NAME_LENGTH) {
+        return res.status(400).json({ message: "Group name is required" });
+      }
+      group.name = groupName;
+    }
+
+    let unusedFileUrls = [];
+    if (avatarUploadId) {
+      const upload = await Upload.claim(avatarUploadId, myId, "image");
+      if (!upload) {
+        return res.status(404).json({ message: "Upload not found" });
+      }
+      // The other sizes and the previous avatar are no longer shown anywhere
+      unusedFileUrls = [...upload.getFileUrls(), group.avatar];
+      group.avatar = upload.variants?.thumbnail || upload.url;
+    }
+
+    await group.save();
+    await deleteUnusedFiles(unusedFileUrls.filter((url) => url && url !== group.avatar));
+    await group.populate("members", MEMBER_FIELDS);
+    emitToConversation(group._id, "groupUpdated", group, myId);
+
+    res.status(200).json(group);
+  } catch (error) {
+    console.error("Error in updateGroup: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const addMembers = async (req, res) => {
+  try {
+    const { memberIds } = req.body;
+    const myId = req.user._id;
+
+    const group = await findGroupForMember(req.params.id, myId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!isAdmin(group, myId)) {
+      return res.status(403).json({ message: "Only group admins can add members" });
+    }
+
+    const newMemberIds = (await findExistingUserIds(memberIds)).filter(
+      (id) => !isMember(group, id)
+    );
+    if (newMemberIds.length === 0) {
+      return res.status(400).json({ message: "No new members to add" });
+    }
+
+    group.members.push(...newMemberIds);
+    // Earlier history does not count as unread for people who just joined
+    newMemberIds.forEach((id) => group.lastReadAt.set(id.toString(), new Date()));
+    await group.save();
+
+    newMemberIds.forEach((memberId) => joinConversationRoom(memberId, group._id));
+
+    await group.populate("members", MEMBER_FIELDS);
+    emitToConversation(group._id, "groupUpdated", group, myId);
+
+    res.status(200).json(group);
+  } catch (error) {
+    console.error("Error in addMembers: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const removeMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const myId = req.user._id;
+
+    const group = await findGroupForMember(req.params.id, myId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!isAdmin(group, myId)) {
+      return res.status(403).json({ message: "Only group admins can remove members" });
+    }
+
+    if (myId.equals(userId)) {
+      return res.status(400).json({ message: "Use leave to remove yourself from a group" });
+    }
+
+    if (!mongoose.isValidObjectId(userId) || !isMember(group, userId)) {
+      return res.status(404).json({ message: "User is not a member of this group" });
+    }
+
+    group.members.pull(userId);
+    group.admins.pull(userId);
+    await group.save();
+
+    leaveConversationRoom(userId, group._id);
+    emitToUser(userId, "groupRemoved", { conversationId: group._id });
+
+    await group.populate("members", MEMBER_FIELDS);
+    emitToConversation(group._id, "groupUpdated", group, myId);
+
+    res.status(200).json(group);
+  } catch (error) {
+    console.error("Error in removeMember: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const leaveGroup = async (req, res) => {
+  try {
+    const myId = req.user._id;
+
+    const group = await findGroupForMember(req.params.id, myId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    group.members.pull(myId);
+    group.admins.pull(myId);
+
+    // Never leave the remaining members without an admin
+    if (group.admins.length === 0 && group.members.length > 0) {
+      group.admins.push(group.members[0]);
+    }
+
+    await group.save();
+
+    leaveConversationRoom(myId, group._id);
+
+    await group.populate("members", MEMBER_FIELDS);
+    emitToConversation(group._id, "groupUpdated", group);
+
+    res.status(200).json({ conversationId: group._id });
+  } catch (error) {
+    console.error("Error in leaveGroup: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
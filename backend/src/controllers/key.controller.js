@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import DeviceKey from "../models/deviceKey.model.js";
+
+// Devices per user that can receive encrypted messages
+const MAX_DEVICE_KEYS = Number(process.env.MAX_DEVICE_KEYS) || 10;
+// A base64 SPKI RSA-2048 key is about 400 characters; this leaves room for larger keys
+const MAX_PUBLIC_KEY_LENGTH = 2048;
+
+const DEVICE_ID_REGEX = /^[\w-]{1,64}$/;
+const BASE64_REGEX = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// The key directory: the public keys of every device the user set up encryption on, oldest first
+export const getDeviceKeys = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId) || !(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const deviceKeys = await DeviceKey.find({ userId })
+      .select("userId deviceId publicKey createdAt")
+      .sort({ createdAt: 1 });
+
+    res.status(200).json(deviceKeys);
+  } catch (error) {
+    console.log("Error in getDeviceKeys controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Publish the public key of one of the caller's devices, or replace it when the device made a
+// new one
+export const publishDeviceKey = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { publicKey } = req.body;
+    const userId = req.user._id;
+
+    if (!DEVICE_ID_REGEX.test(deviceId)) {
+      return res.status(400).json({ message: "Invalid device ID" });
+    }
+
+    if (
+      typeof publicKey !== "string" ||
+      publicKey.length > MAX_PUBLIC_KEY_LENGTH ||
+      !BASE64_REGEX.test(publicKey)
+    ) {
+      return res.status(400).json({ message: "Invalid public key" });
+    }
+
+    if (!(await DeviceKey.exists({ userId, deviceId }))) {
+      const deviceCount = await DeviceKey.countDocuments({ userId });
+      if (deviceCount >= MAX_DEVICE_KEYS) {
+        return res.status(400).json({
+          message: `Encryption can be set up on at most ${MAX_DEVICE_KEYS} devices`,
+        });
+      }
+    }
+
+    const deviceKey = await DeviceKey.findOneAndUpdate(
+      { userId, deviceId },
+      { publicKey },
+      { new: true, upsert: true }
+    );
+
+    res.status(200).json(deviceKey);
+  } catch (error) {
+    console.log("Error in publishDeviceKey controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Withdraw one of the caller's devices; messages are no longer encrypted for it
+export const removeDeviceKey = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const deviceKey = await DeviceKey.findOneAndDelete({ userId: req.user._id, deviceId });
+    if (!deviceKey) {
+      return res.status(404).json({ message: "Device not found" });
+    }
+
+    res.status(200).json({ deviceId });
+  } catch (error) {
+    console.log("Error in removeDeviceKey controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
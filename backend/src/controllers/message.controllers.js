@@ -1,8 +1,72 @@
+import mongoose from "mongoose";
 import User from "../models/user.model.js";
 import Message from "../models/message.models.js";
+import Conversation from "../models/conversation.model.js";
 
-import cloudinary from "../lib/cloudinary.js";
-import { getReceiverSocketId, io } from "../lib/socket.js";
+import { deleteFile } from "../lib/storage/index.js";
+import { findFirstUrl, getLinkPreview } from "../lib/linkPreview.js";
+import { emitToUser } from "../lib/socket.js";
+import { notExpired } from "../lib/messageExpiry.js";
+import {
+  PARENT_MESSAGE_FIELDS,
+  attachLinkPreview,
+  deliverMessage,
+  emitToAllParticipants,
+  emitToOtherParticipants,
+  isGroupMessage,
+  isMessageParticipant,
+  resolveChat,
+} from "../lib/messageDelivery.js";
+
+const DEFAULT_MESSAGE_PAGE_SIZE = 30;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+
+// Matches the messages past a page cursor (a message's createdAt and _id), "before" or "after" it.
+// Messages sent in the same millisecond are told apart by their ID so that none is skipped at a
+// page boundary; without an ID the time alone is the cursor
+const pastCursor = (direction, createdAt, id) => {
+  const operator = direction === "before" ? "$lt" : "$gt";
+  if (!id) return { createdAt: { [operator]: createdAt } };
+  return {
+    $or: [{ createdAt: { [operator]: createdAt } }, { createdAt, _id: { [operator]: id } }],
+  };
+};
+
+// Messages returned per request by the sync after a reconnect
+const SYNC_PAGE_SIZE = 200;
+
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_QUERY_LENGTH = 200;
+
+// How long after sending a message its sender may still edit it
+const MESSAGE_EDIT_WINDOW_MS = (Number(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// How long after sending a message its sender may still delete it for everyone
+const MESSAGE_DELETE_WINDOW_MS =
+  (Number(process.env.MESSAGE_DELETE_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+// A reaction is a single emoji, possibly with modifiers (skin tone, ZWJ sequences)
+const MAX_REACTION_LENGTH = 16;
+const EMOJI_REGEX = /^(?=.*\p{Extended_Pictographic})[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u;
+
+// Timers a conversation's disappearing messages can be set to, in seconds: 1 hour, 1 day, 7 days
+const DISAPPEARING_TIMERS = [60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60];
+
+// Pinning another message in a chat that already has this many pins is refused
+const MAX_PINNED_MESSAGES = Number(process.env.MAX_PINNED_MESSAGES) || 5;
+
+// Filter matching every message of the chat the message belongs to
+const getChatFilter = (message) => {
+  if (isGroupMessage(message)) return { conversationId: message.conversationId };
+
+  const { senderId, receiverId } = message;
+  return {
+    $or: [
+      { senderId, receiverId },
+      { senderId: receiverId, receiverId: senderId },
+    ],
+  };
+};
 
 export const getUsersForSidebar = async (req, res) => {
   try {
@@ -16,55 +80,786 @@ export const getUsersForSidebar = async (req, res) => {
   }
 };
 
+export const getConversations = async (req, res) => {
+  try {
+    const myId = req.user._id;
+
+    const conversations = await Message.aggregate([
+      {
+        $match: {
+          $or: [{ senderId: myId }, { receiverId: myId }],
+          // Direct messages only; groups are summarised below
+          receiverId: { $ne: null },
+          ...notExpired(),
+          deletedFor: { $ne: myId },
+        },
+      },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: { $cond: [{ $eq: ["$senderId", myId] }, "$receiverId", "$senderId"] },
+          lastMessage: { $first: "$$ROOT" },
+          unreadCount: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$receiverId", myId] },
+                    { $eq: [{ $ifNull: ["$readAt", null] }, null] },
+                    { $eq: [{ $ifNull: ["$deletedAt", null] }, null] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+      { $sort: { "lastMessage.createdAt": -1 } },
+      { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "user" } },
+      { $unwind: "$user" },
+      {
+        $unset: ["_id", "user.password", "lastMessage.editHistory", "lastMessage.deletedFor"],
+      },
+    ]);
+
+    const groups = await Conversation.find({ type: "group", members: myId }).populate(
+      "members",
+      "fullName profilePic"
+    );
+
+    const groupConversations = await Promise.all(
+      groups.map(async (group) => {
+        const visibleFilter = {
+          conversationId: group._id,
+          ...notExpired(),
+          deletedFor: { $ne: myId },
+        };
+        const lastReadAt = group.lastReadAt.get(myId.toString());
+
+        const [lastMessage, unreadCount] = await Promise.all([
+          Message.findOne(visibleFilter)
+            .sort({ createdAt: -1 })
+            .select("-editHistory -deletedFor"),
+          Message.countDocuments({
+            ...visibleFilter,
+            senderId: { $ne: myId },
+            deletedAt: null,
+            ...(lastReadAt && { createdAt: { $gt: lastReadAt } }),
+          }),
+        ]);
+
+        return { group, lastMessage, unreadCount };
+      })
+    );
+
+    res.status(200).json([...conversations, ...groupConversations]);
+  } catch (error) {
+    console.error("Error in getConversations: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
 export const getMessages = async (req, res) => {
   try {
-    const { id: userToChatId } = req.params;
+    const { id: chatId } = req.params;
+    const { before, beforeId } = req.query;
     const myId = req.user._id;
 
-    const messages = await Message.find({
-      $or: [
-        { senderId: myId, receiverId: userToChatId },
-        { senderId: userToChatId, receiverId: myId },
+    const chat = await resolveChat(chatId, myId);
+    if (!chat) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_MESSAGE_PAGE_SIZE, 1),
+      MAX_MESSAGE_PAGE_SIZE
+    );
+
+    const filter = { ...chat.filter, ...notExpired(), deletedFor: { $ne: myId } };
+
+    if (before) {
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime()) || (beforeId && !mongoose.isValidObjectId(beforeId))) {
+        return res.status(400).json({ message: "Invalid 'before' cursor" });
+      }
+      filter.$and = [pastCursor("before", beforeDate, beforeId)];
+    }
+
+    // Fetch one extra message to know whether an older page exists
+    const page = await Message.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate("parentMessage", PARENT_MESSAGE_FIELDS);
+
+    const hasMore = page.length > limit;
+    const messages = page.slice(0, limit).reverse();
+
+    res.status(200).json({ messages, hasMore });
+  } catch (error) {
+    console.log("Error in getMessages controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Messages of every chat of the caller sent after a point in time, oldest first, for a client
+// that lost its socket for a while and missed their "newMessage" events. Later pages pass the
+// last message's ID as afterId along with its time
+export const syncMessages = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const { afterId } = req.query;
+
+    const since = new Date(req.query.since);
+    const isValidCursor =
+      req.query.since && !isNaN(since.getTime()) && (!afterId || mongoose.isValidObjectId(afterId));
+    if (!isValidCursor) {
+      return res.status(400).json({ message: "Invalid 'since' cursor" });
+    }
+
+    const groupIds = await Conversation.find({ type: "group", members: myId }).distinct("_id");
+
+    // Fetch one extra message to know whether a newer page exists
+    const page = await Message.find({
+      $and: [
+        { $or: [{ senderId: myId }, { receiverId: myId }, { conversationId: { $in: groupIds } }] },
+        pastCursor("after", since, afterId),
       ],
+      ...notExpired(),
+      deletedFor: { $ne: myId },
+    })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(SYNC_PAGE_SIZE + 1)
+      .populate("parentMessage", PARENT_MESSAGE_FIELDS);
+
+    res.status(200).json({
+      messages: page.slice(0, SYNC_PAGE_SIZE),
+      hasMore: page.length > SYNC_PAGE_SIZE,
     });
+  } catch (error) {
+    console.log("Error in syncMessages controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const searchMessages = async (req, res) => {
+  try {
+    const { q, userId, groupId, from, to, hasImage } = req.query;
+    const myId = req.user._id;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const query = typeof q === "string" ? q.trim() : "";
+    if (!query || query.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({ message: "A search query is required" });
+    }
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+
+    const groupIds = await Conversation.find({ type: "group", members: myId }).distinct("_id");
+
+    // Only conversations the caller takes part in, optionally narrowed to one of them
+    let participantFilter = [
+      { senderId: myId },
+      { receiverId: myId },
+      { conversationId: { $in: groupIds } },
+    ];
+    if (groupId) {
+      if (!groupIds.some((id) => id.equals(groupId))) {
+        return res.status(404).json({ message: "Group not found" });
+      }
+      participantFilter = [{ conversationId: groupId }];
+    } else if (userId) {
+      participantFilter = [
+        { senderId: myId, receiverId: userId },
+        { senderId: userId, receiverId: myId },
+      ];
+    }
+
+    const filter = {
+      $text: { $search: query },
+      $and: [{ $or: participantFilter }],
+      ...notExpired(),
+      deletedFor: { $ne: myId },
+      deletedAt: null,
+    };
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+
+      if (Object.values(filter.createdAt).some((date) => isNaN(date.getTime()))) {
+        return res.status(400).json({ message: "Invalid date range" });
+      }
+    }
 
-    res.status(200).json(messages);
+    if (hasImage === "true") {
+      filter.image = { $nin: [null, ""] };
+    }
+
+    const results = await Message.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * SEARCH_PAGE_SIZE)
+      .limit(SEARCH_PAGE_SIZE + 1);
+
+    res.status(200).json({
+      results: results.slice(0, SEARCH_PAGE_SIZE),
+      page,
+      hasMore: results.length > SEARCH_PAGE_SIZE,
+    });
   } catch (error) {
-    console.log("Error in getMessages controller: ", error.message);
+    console.log("Error in searchMessages controller: ", error.message);
     res.status(500).json({ error: "Internal server error" });
   }
 };
 
 export const sendMessage = async (req, res) => {
   try {
-    const { text, image } = req.body;
-    const { id: receiverId } = req.params;
-    const senderId = req.user._id;
+    const { id: chatId } = req.params;
+
+    const { message, status, error } = await deliverMessage(req.user._id, chatId, req.body);
+    if (!message) {
+      return res.status(status).json({ message: error });
+    }
+
+    res.status(201).json(message);
+  } catch (error) {
+    console.log("Error in sendMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// A message with its thread replies, oldest first; the ID of a reply opens the thread it is in
+export const getThread = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const myId = req.user._id;
+
+    if (!mongoose.isValidObjectId(messageId)) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    const message = await Message.findById(messageId);
+    const root = message?.parentMessageId
+      ? await Message.findById(message.parentMessageId)
+      : message;
 
-    let imageUrl;
-    if (image) {
-      // Upload base64 image to cloudinary
-      const uploadResponse = await cloudinary.uploader.upload(image);
-      imageUrl = uploadResponse.secure_url;
+    if (!root || !(await isMessageParticipant(root, myId))) {
+      return res.status(404).json({ message: "Message not found" });
     }
 
-    const newMessage = new Message({
+    const replies = await Message.find({
+      parentMessageId: root._id,
+      ...notExpired(),
+      deletedFor: { $ne: myId },
+    }).sort({ createdAt: 1 });
+
+    res.status(200).json({ root, replies });
+  } catch (error) {
+    console.log("Error in getThread controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const markMessagesAsRead = async (req, res) => {
+  try {
+    const myId = req.user._id;
+
+    const chat = await resolveChat(req.params.id, myId);
+    if (!chat) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    // Groups track a read position per member rather than per-message receipts
+    if (chat.group) {
+      const readAt = new Date();
+      chat.group.lastReadAt.set(myId.toString(), readAt);
+      await chat.group.save();
+      return res.status(200).json({ messageIds: [], readAt });
+    }
+
+    const senderId = chat.partnerId;
+    const unreadMessages = await Message.find({
       senderId,
-      receiverId,
-      text,
-      image: imageUrl,
+      receiverId: myId,
+      readAt: null,
+    }).select("_id");
+
+    if (unreadMessages.length === 0) {
+      return res.status(200).json({ messageIds: [] });
+    }
+
+    const messageIds = unreadMessages.map((message) => message._id);
+    const readAt = new Date();
+
+    // A message that has been read has necessarily been delivered
+    await Message.updateMany(
+      { _id: { $in: messageIds }, deliveredAt: null },
+      { deliveredAt: readAt }
+    );
+    await Message.updateMany({ _id: { $in: messageIds } }, { readAt });
+
+    emitToUser(senderId, "messagesRead", { messageIds, readAt });
+
+    res.status(200).json({ messageIds, readAt });
+  } catch (error) {
+    console.log("Error in markMessagesAsRead controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const editMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { text } = req.body;
+    const myId = req.user._id;
+
+    if (!mongoose.isValidObjectId(messageId)) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    const message = await Message.findById(messageId);
+
+    if (!message || message.systemEvent?.kind) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    if (!message.senderId.equals(myId)) {
+      return res.status(403).json({ message: "You can only edit your own messages" });
+    }
+
+    if (message.deletedAt) {
+      return res.status(400).json({ message: "Deleted messages cannot be edited" });
+    }
+
+    // The new text would be stored unencrypted
+    if (message.encrypted) {
+      return res.status(400).json({ message: "Encrypted messages cannot be edited" });
+    }
+
+    if (Date.now() - message.createdAt.getTime() > MESSAGE_EDIT_WINDOW_MS) {
+      return res.status(403).json({ message: "This message can no longer be edited" });
+    }
+
+    const newText = typeof text === "string" ? text.trim() : "";
+    if (!newText && !message.image && !message.audio && !message.attachment) {
+      return res.status(400).json({ message: "Message text is required" });
+    }
+
+    if (newText === (message.text || "")) {
+      return res.status(200).json(message);
+    }
+
+    message.editHistory.push({
+      text: message.text,
+      createdAt: message.editedAt || message.createdAt,
+    });
+    message.text = newText;
+    message.editedAt = new Date();
+    // A preview of a link that is no longer in the text goes away
+    if (message.linkPreview && message.linkPreview.url !== findFirstUrl(newText)) {
+      message.linkPreview = undefined;
+    }
+
+    await message.save();
+
+    emitToOtherParticipants(message, "messageUpdated", message, myId);
+
+    res.status(200).json(message);
+
+    attachLinkPreview(message);
+  } catch (error) {
+    console.log("Error in editMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const deleteMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { scope = "me" } = req.query;
+    const myId = req.user._id;
+
+    if (scope !== "me" && scope !== "everyone") {
+      return res.status(400).json({ message: "Scope must be 'me' or 'everyone'" });
+    }
+
+    if (!mongoose.isValidObjectId(messageId)) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    const message = await Message.findById(messageId);
+
+    if (!message || !(await isMessageParticipant(message, myId))) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    if (scope === "me") {
+      await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: myId } });
+      return res.status(200).json({ _id: message._id, scope });
+    }
+
+    if (!message.senderId.equals(myId)) {
+      return res.status(403).json({ message: "You can only delete your own messages for everyone" });
+    }
+
+    if (Date.now() - message.createdAt.getTime() > MESSAGE_DELETE_WINDOW_MS) {
+      return res.status(403).json({ message: "This message can no longer be deleted for everyone" });
+    }
+
+    // Already a tombstone: nothing more to do, and the thread must not lose the reply twice
+    if (message.deletedAt) {
+      return res.status(200).json(message);
+    }
+
+    for (const url of message.getFileUrls()) {
+      try {
+        await deleteFile(url);
+      } catch (destroyError) {
+        // Keep going: the tombstone matters more than a leftover file
+        console.log("Error deleting message attachment: ", destroyError.message);
+      }
+    }
+
+    // Leave a tombstone in place of the content
+    message.text = undefined;
+    message.encrypted = undefined;
+    message.image = undefined;
+    message.imageDetails = undefined;
+    message.audio = undefined;
+    message.attachment = undefined;
+    message.linkPreview = undefined;
+    message.editHistory = [];
+    message.reactions = [];
+    message.pinnedAt = null;
+    message.pinnedBy = undefined;
+    message.deletedAt = new Date();
+
+    await message.save();
+
+    emitToOtherParticipants(message, "messageDeleted", message, myId);
+
+    // A deleted reply no longer counts towards its thread
+    if (message.parentMessageId) {
+      const threadRoot = await Message.findOneAndUpdate(
+        { _id: message.parentMessageId, replyCount: { $gt: 0 } },
+        { $inc: { replyCount: -1 } },
+        { new: true }
+      );
+      if (threadRoot) {
+        const { replyCount, lastReplyAt } = threadRoot;
+        emitToAllParticipants(threadRoot, "threadUpdated", {
+          messageId: threadRoot._id,
+          replyCount,
+          lastReplyAt,
+        });
+      }
+    }
+
+    res.status(200).json(message);
+  } catch (error) {
+    console.log("Error in deleteMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Shared by addReaction and removeReaction: load a live message the caller takes part in
+const findReactableMessage = async (messageId, userId) => {
+  if (!mongoose.isValidObjectId(messageId)) return null;
+
+  const message = await Message.findById(messageId).select(
+    "senderId receiverId conversationId deletedAt systemEvent"
+  );
+  if (!message || message.deletedAt || message.systemEvent?.kind) return null;
+  if (!(await isMessageParticipant(message, userId))) return null;
+
+  return message;
+};
+
+// Push the current reaction list to the other participants and return it for the caller
+const broadcastReactions = async (message, userId) => {
+  const { reactions } = await Message.findById(message._id).select("reactions");
+  const payload = { messageId: message._id, reactions };
+
+  emitToOtherParticipants(message, "messageReactionsUpdated", payload, userId);
+
+  return payload;
+};
+
+export const addReaction = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { emoji } = req.body;
+    const myId = req.user._id;
+
+    if (typeof emoji !== "string" || emoji.length > MAX_REACTION_LENGTH || !EMOJI_REGEX.test(emoji)) {
+      return res.status(400).json({ message: "A single emoji is required" });
+    }
+
+    const message = await findReactableMessage(messageId, myId);
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    // The filter makes the push a no-op if this user already reacted with this emoji
+    await Message.updateOne(
+      { _id: message._id, reactions: { $not: { $elemMatch: { userId: myId, emoji } } } },
+      { $push: { reactions: { userId: myId, emoji } } }
+    );
+
+    res.status(200).json(await broadcastReactions(message, myId));
+  } catch (error) {
+    console.log("Error in addReaction controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const removeReaction = async (req, res) => {
+  try {
+    const { messageId, emoji } = req.params;
+    const myId = req.user._id;
+
+    const message = await findReactableMessage(messageId, myId);
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    await Message.updateOne({ _id: message._id }, { $pull: { reactions: { userId: myId, emoji } } });
+
+    res.status(200).json(await broadcastReactions(message, myId));
+  } catch (error) {
+    console.log("Error in removeReaction controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// The chat's pinned messages, most recently pinned first
+export const getPinnedMessages = async (req, res) => {
+  try {
+    const { id: chatId } = req.params;
+    const myId = req.user._id;
+
+    const chat = await resolveChat(chatId, myId);
+    if (!chat) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    const pinnedMessages = await Message.find({
+      ...chat.filter,
+      ...notExpired(),
+      pinnedAt: { $ne: null },
+    }).sort({ pinnedAt: -1 });
+
+    res.status(200).json(pinnedMessages);
+  } catch (error) {
+    console.log("Error in getPinnedMessages controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Shared by pinMessage and unpinMessage: load a live message the caller takes part in
+const findPinnableMessage = async (messageId, userId) => {
+  if (!mongoose.isValidObjectId(messageId)) return null;
+
+  const message = await Message.findById(messageId);
+  if (!message || message.deletedAt || message.systemEvent?.kind) return null;
+  if (!(await isMessageParticipant(message, userId))) return null;
+
+  return message;
+};
+
+// Any participant may pin a message for everyone in the chat
+export const pinMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const myId = req.user._id;
+
+    const message = await findPinnableMessage(messageId, myId);
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+    if (message.pinnedAt) {
+      return res.status(200).json(message);
+    }
+
+    const chatPinsFilter = { ...getChatFilter(message), pinnedAt: { $ne: null } };
+    const tooManyPins = () =>
+      res.status(400).json({
+        message: `A conversation can have at most ${MAX_PINNED_MESSAGES} pinned messages`,
+      });
+
+    if ((await Message.countDocuments(chatPinsFilter)) >= MAX_PINNED_MESSAGES) {
+      return tooManyPins();
+    }
+
+    const pinnedAt = new Date();
+    const pinnedMessage = await Message.findOneAndUpdate(
+      { _id: message._id, pinnedAt: null },
+      { pinnedAt, pinnedBy: myId },
+      { new: true }
+    );
+    // Pinned by someone else in the meantime
+    if (!pinnedMessage) {
+      return res.status(200).json(await Message.findById(message._id));
+    }
+
+    // Pins made at the same time can all pass the count above. Counting again after the write
+    // catches that: whichever pin finds the chat over the limit is taken back (both may be)
+    if ((await Message.countDocuments(chatPinsFilter)) > MAX_PINNED_MESSAGES) {
+      await Message.updateOne(
+        { _id: message._id, pinnedAt },
+        { pinnedAt: null, $unset: { pinnedBy: 1 } }
+      );
+      return tooManyPins();
+    }
+
+    emitToOtherParticipants(pinnedMessage, "messagePinUpdated", pinnedMessage, myId);
+
+    res.status(200).json(pinnedMessage);
+  } catch (error) {
+    console.log("Error in pinMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Any participant may unpin a message, whoever pinned it
+export const unpinMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const myId = req.user._id;
+
+    const message = await findPinnableMessage(messageId, myId);
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    if (message.pinnedAt) {
+      message.pinnedAt = null;
+      message.pinnedBy = undefined;
+      await message.save();
+
+      emitToOtherParticipants(message, "messagePinUpdated", message, myId);
+    }
+
+    res.status(200).json(message);
+  } catch (error) {
+    console.log("Error in unpinMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// The chat's disappearing message timer in seconds, or null when messages are kept
+export const getDisappearingTimer = async (req, res) => {
+  try {
+    const { id: chatId } = req.params;
+    const myId = req.user._id;
+
+    const chat = await resolveChat(chatId, myId);
+    if (!chat) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    const conversation = chat.group || (await Conversation.findDirect(myId, chat.partnerId));
+
+    res.status(200).json({ disappearAfterSeconds: conversation?.disappearAfterSeconds ?? null });
+  } catch (error) {
+    console.log("Error in getDisappearingTimer controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Any participant may set the timer ({seconds}, null to turn it off). It applies to messages sent
+// from now on and is announced in the chat; responds with the announcement
+export const setDisappearingTimer = async (req, res) => {
+  try {
+    const { id: chatId } = req.params;
+    const seconds = req.body.seconds ?? null;
+    const myId = req.user._id;
+
+    if (seconds !== null && !DISAPPEARING_TIMERS.includes(seconds)) {
+      return res
+        .status(400)
+        .json({ message: "Disappearing messages can last 1 hour, 1 day or 7 days" });
+    }
+
+    const chat = await resolveChat(chatId, myId);
+    if (!chat) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    const conversation =
+      chat.group || (await Conversation.findOrCreateDirect(myId, chat.partnerId));
+    if ((conversation.disappearAfterSeconds ?? null) === seconds) {
+      return res.status(400).json({ message: "The timer is already set to that" });
+    }
+
+    conversation.disappearAfterSeconds = seconds;
+    await conversation.save();
+
+    const announcement = await Message.create({
+      senderId: myId,
+      receiverId: chat.partnerId,
+      conversationId: conversation._id,
+      systemEvent: { kind: "disappearingTimerChanged", disappearAfterSeconds: seconds },
     });
 
-    await newMessage.save();
+    emitToOtherParticipants(announcement, "newMessage", announcement, myId);
+
+    res.status(201).json(announcement);
+  } catch (error) {
+    console.log("Error in setDisappearingTimer controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Preview of a link typed in the composer, so the sender sees it before sending; also warms the
+// cache used when the message is sent
+export const previewLink = async (req, res) => {
+  try {
+    const url = findFirstUrl(req.query.url);
+    if (!url) {
+      return res.status(400).json({ message: "A valid link is required" });
+    }
+
+    res.status(200).json({ linkPreview: await getLinkPreview(url) });
+  } catch (error) {
+    console.log("Error in previewLink controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// The sender can take the preview off their message at any time
+export const removeLinkPreview = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const myId = req.user._id;
+
+    if (!mongoose.isValidObjectId(messageId)) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message || message.deletedAt) {
+      return res.status(404).json({ message: "Message not found" });
+    }
 
-    const receiverSocketId = getReceiverSocketId(receiverId);
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("newMessage", newMessage);
+    if (!message.senderId.equals(myId)) {
+      return res
+        .status(403)
+        .json({ message: "You can only remove previews from your own messages" });
     }
 
-    res.status(201).json(newMessage);
+    message.linkPreview = undefined;
+    message.linkPreviewRemoved = true;
+    await message.save();
+
+    emitToOtherParticipants(message, "messageUpdated", message, myId);
+
+    res.status(200).json(message);
   } catch (error) {
-    console.log("Error in sendMessage controller: ", error.message);
+    console.log("Error in removeLinkPreview controller: ", error.message);
     res.status(500).json({ error: "Internal server error" });
   }
-};
\ No newline at end of file
+};
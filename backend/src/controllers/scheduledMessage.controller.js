@@ -0,0 +1,206 @@
+import mongoose from "mongoose";
+import ScheduledMessage from "../models/scheduledMessage.model.js";
+import Upload from "../models/upload.model.js";
+
+import { resolveChat } from "../lib/messageDelivery.js";
+import { deliverScheduledMessage } from "../lib/scheduledMessages.js";
+
+// How far ahead a message can be scheduled
+const MAX_SCHEDULE_DAYS = Number(process.env.MAX_SCHEDULE_DAYS) || 365;
+// Scheduled messages waiting to be sent, per user
+const MAX_SCHEDULED_MESSAGES = Number(process.env.MAX_SCHEDULED_MESSAGES) || 50;
+
+// Check a requested delivery time; returns an error message or null
+const validateSendAt = (sendAt) => {
+  const time = new Date(sendAt).getTime();
+  if (!sendAt || isNaN(time)) {
+    return "A valid delivery time is required";
+  }
+  if (time <= Date.now()) {
+    return "The delivery time must be in the future";
+  }
+  if (time - Date.now() > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    return `Messages can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`;
+  }
+  return null;
+};
+
+const cleanText = (text) => (typeof text === "string" ? text.trim() : "");
+
+// The caller's scheduled messages that have not been sent yet, soonest first
+export const getScheduledMessages = async (req, res) => {
+  try {
+    const scheduledMessages = await ScheduledMessage.find({ senderId: req.user._id }).sort({
+      sendAt: 1,
+    });
+
+    res.status(200).json(scheduledMessages);
+  } catch (error) {
+    console.log("Error in getScheduledMessages controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Takes what sendMessage takes, plus the chat and the time to send it at
+export const createScheduledMessage = async (req, res) => {
+  try {
+    const { chatId, uploadId, linkPreview, parentMessageId, sendAt } = req.body;
+    const text = cleanText(req.body.text);
+    const senderId = req.user._id;
+
+    const sendAtError = validateSendAt(sendAt);
+    if (sendAtError) {
+      return res.status(400).json({ message: sendAtError });
+    }
+
+    if (!text && !uploadId) {
+      return res.status(400).json({ message: "A scheduled message needs text or a file" });
+    }
+
+    if (!(await resolveChat(chatId, senderId))) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    if (parentMessageId && !mongoose.isValidObjectId(parentMessageId)) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    // The upload is claimed when the message is sent; it only has to be usable now
+    if (uploadId) {
+      const upload =
+        mongoose.isValidObjectId(uploadId) &&
+        (await Upload.exists({ _id: uploadId, uploaderId: senderId, claimedAt: null }));
+      if (!upload) {
+        return res.status(404).json({ message: "Upload not found" });
+      }
+    }
+
+    const scheduledCount = await ScheduledMessage.countDocuments({ senderId });
+    if (scheduledCount >= MAX_SCHEDULED_MESSAGES) {
+      return res.status(400).json({
+        message: `You can have at most ${MAX_SCHEDULED_MESSAGES} scheduled messages`,
+      });
+    }
+
+    const scheduledMessage = await ScheduledMessage.create({
+      senderId,
+      chatId,
+      text,
+      uploadId,
+      linkPreviewRemoved: linkPreview === false,
+      parentMessageId,
+      sendAt,
+    });
+
+    res.status(201).json(scheduledMessage);
+  } catch (error) {
+    console.log("Error in createScheduledMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Edit the text or move the delivery time ({text, sendAt}, either optional). A failed message
+// is tried again at its (new) time
+export const updateScheduledMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { text, sendAt } = req.body;
+    const senderId = req.user._id;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: "Scheduled message not found" });
+    }
+
+    const scheduledMessage = await ScheduledMessage.findOne({ _id: id, senderId });
+    if (!scheduledMessage) {
+      return res.status(404).json({ message: "Scheduled message not found" });
+    }
+
+    const update = { status: "pending", attempts: 0, $unset: { error: 1 } };
+
+    if (text !== undefined) {
+      update.text = cleanText(text);
+      if (!update.text && !scheduledMessage.uploadId) {
+        return res.status(400).json({ message: "A scheduled message needs text or a file" });
+      }
+    }
+
+    if (sendAt !== undefined) {
+      const sendAtError = validateSendAt(sendAt);
+      if (sendAtError) {
+        return res.status(400).json({ message: sendAtError });
+      }
+      update.sendAt = sendAt;
+    }
+
+    // The runner may have taken the message in the meantime
+    const updatedMessage = await ScheduledMessage.findOneAndUpdate(
+      { _id: id, senderId, status: { $ne: "sending" } },
+      update,
+      { new: true }
+    );
+    if (!updatedMessage) {
+      return res.status(409).json({ message: "This message is already being sent" });
+    }
+
+    res.status(200).json(updatedMessage);
+  } catch (error) {
+    console.log("Error in updateScheduledMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Send a scheduled message right away; responds with the sent message
+export const sendScheduledMessageNow = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: "Scheduled message not found" });
+    }
+
+    // Take it the way the runner does, so it cannot be sent twice
+    const scheduledMessage = await ScheduledMessage.findOneAndUpdate(
+      { _id: id, senderId: req.user._id, status: { $ne: "sending" } },
+      { status: "sending", lockedAt: new Date(), $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!scheduledMessage) {
+      return res.status(404).json({ message: "Scheduled message not found" });
+    }
+
+    const { message, status, error } = await deliverScheduledMessage(scheduledMessage);
+    if (!message) {
+      return res.status(status).json({ message: error });
+    }
+
+    res.status(201).json(message);
+  } catch (error) {
+    console.log("Error in sendScheduledMessageNow controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const cancelScheduledMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: "Scheduled message not found" });
+    }
+
+    const scheduledMessage = await ScheduledMessage.findOneAndDelete({
+      _id: id,
+      senderId: req.user._id,
+      status: { $ne: "sending" },
+    });
+    if (!scheduledMessage) {
+      return res.status(404).json({ message: "Scheduled message not found" });
+    }
+
+    res.status(200).json({ _id: scheduledMessage._id });
+  } catch (error) {
+    console.log("Error in cancelScheduledMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
@@ -0,0 +1,169 @@
+import path from "path";
+import Busboy from "busboy";
+import { Readable, Transform, pipeline } from "stream";
+import Upload from "../models/upload.model.js";
+import { saveFile } from "../lib/storage/index.js";
+import { processImage } from "../lib/imagePipeline.js";
+
+const MB = 1024 * 1024;
+
+// Largest upload allowed for each kind of file
+const UPLOAD_LIMITS = {
+  image: (Number(process.env.MAX_IMAGE_UPLOAD_MB) || 10) * MB,
+  audio: (Number(process.env.MAX_AUDIO_UPLOAD_MB) || 10) * MB,
+  file: (Number(process.env.MAX_ATTACHMENT_MB) || 25) * MB,
+};
+
+const UPLOAD_LABELS = { image: "Images", audio: "Audio files", file: "Files" };
+
+const MAX_FILE_NAME_LENGTH = 255;
+
+const getUploadKind = (mimeType) => {
+  if (mimeType.startsWith("image/")) return "image";
+  if (mimeType.startsWith("audio/")) return "audio";
+  return "file";
+};
+
+// Passes the file through and fails as soon as it grows past maxBytes, so oversized uploads
+// are never read (or stored) in full
+const createSizeLimiter = (maxBytes) => {
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      limiter.bytes += chunk.length;
+      if (limiter.bytes > maxBytes) {
+        const error = new Error("File too large");
+        error.code = "FILE_TOO_LARGE";
+        return callback(error);
+      }
+      callback(null, chunk);
+    },
+  });
+  limiter.bytes = 0;
+  return limiter;
+};
+
+const saveBuffer = (buffer, fileName, mimeType) =>
+  saveFile({ stream: Readable.from([buffer]), fileName, mimeType });
+
+// Images are read whole (they are capped at a few MB) to make every size from them; resolves to
+// the upload's fields, or null when the file cannot be processed as an image
+const storeImage = async (buffer, name) => {
+  const image = await processImage(buffer);
+  if (!image) return null;
+
+  const baseName = path.parse(name).name;
+  const [original, medium, thumbnail] = await Promise.all([
+    saveBuffer(image.original, `${baseName}.${image.extension}`, image.mimeType),
+    saveBuffer(image.medium, `${baseName}-medium.webp`, "image/webp"),
+    saveBuffer(image.thumbnail, `${baseName}-thumbnail.webp`, "image/webp"),
+  ]);
+
+  return {
+    kind: "image",
+    url: original.url,
+    size: image.original.length,
+    mimeType: image.mimeType,
+    width: image.width,
+    height: image.height,
+    placeholder: image.placeholder,
+    variants: { medium: medium.url, thumbnail: thumbnail.url },
+  };
+};
+
+// Stream a multipart upload (one file, in the "file" field) straight to storage and record it;
+// messages, profiles and groups then refer to it by its ID
+export const createUpload = (req, res) => {
+  let busboy;
+  try {
+    busboy = Busboy({ headers: req.headers, defParamCharset: "utf8", limits: { files: 1 } });
+  } catch {
+    return res.status(400).json({ message: "Expected a multipart/form-data upload" });
+  }
+
+  let sizeLimiter;
+
+  // Stop reading the request; the connection is closed once the response is sent
+  const stopReading = () => {
+    req.unpipe(busboy);
+    res.set("Connection", "close");
+  };
+
+  busboy.on("file", async (fieldName, file, { filename, mimeType }) => {
+    if (fieldName !== "file" || sizeLimiter) {
+      file.resume();
+      return;
+    }
+
+    const type = (mimeType || "application/octet-stream").toLowerCase();
+    const kind = getUploadKind(type);
+    const name = (filename || "").trim().slice(0, MAX_FILE_NAME_LENGTH) || "file";
+
+    sizeLimiter = createSizeLimiter(UPLOAD_LIMITS[kind]);
+    // Errors surface through saveFile, which reads from the limiter
+    pipeline(file, sizeLimiter, () => {});
+
+    try {
+      let fields;
+      if (kind === "image") {
+        const buffer = Buffer.concat(await sizeLimiter.toArray());
+        // Images we can't display (e.g. SVG) are kept as plain files
+        fields = (await storeImage(buffer, name)) || {
+          kind: "file",
+          url: (await saveBuffer(buffer, name, type)).url,
+          size: buffer.length,
+          mimeType: type,
+        };
+      } else {
+        const stored = await saveFile({ stream: sizeLimiter, fileName: name, mimeType: type });
+        fields = {
+          kind,
+          url: stored.url,
+          size: sizeLimiter.bytes,
+          mimeType: type,
+          duration: stored.duration,
+        };
+      }
+
+      const upload = await Upload.create({ uploaderId: req.user._id, name, ...fields });
+
+      res.status(201).json(upload);
+    } catch (error) {
+      // Already answered (invalid upload), or cancelled and there is nobody left to answer
+      if (res.headersSent || res.destroyed) return;
+
+      stopReading();
+      if (error.code === "FILE_TOO_LARGE") {
+        return res.status(413).json({
+          message: `${UPLOAD_LABELS[kind]} can be at most ${UPLOAD_LIMITS[kind] / MB} MB`,
+        });
+      }
+
+      console.log("Error in createUpload controller: ", error.message);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  busboy.on("close", () => {
+    if (!sizeLimiter) {
+      res.status(400).json({ message: "No file uploaded" });
+    }
+  });
+
+  busboy.on("error", (error) => {
+    console.log("Error parsing upload: ", error.message);
+    sizeLimiter?.destroy(error);
+    if (!res.headersSent) {
+      stopReading();
+      res.status(400).json({ message: "Invalid upload" });
+    }
+  });
+
+  // Abort storing the file when the client cancels the upload
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      sizeLimiter?.destroy(new Error("Upload cancelled"));
+    }
+  });
+
+  req.pipe(busboy);
+};
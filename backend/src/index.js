@@ -3,10 +3,17 @@ import dotenv from "dotenv";
 import cookieParser from "cookie-parser";
 import cors from "cors";
 import path from "path";
-import { v2 as cloudinary } from 'cloudinary';
 import { connectDB } from "./lib/db.js";
 import authRoutes from "./routes/auth.route.js";
 import messageRoutes from "./routes/message.route.js";
+import conversationRoutes from "./routes/conversation.route.js";
+import uploadRoutes from "./routes/upload.route.js";
+import scheduledMessageRoutes from "./routes/scheduledMessage.route.js";
+import keyRoutes from "./routes/key.route.js";
+import { serveUploads } from "./lib/storage/localDriver.js";
+import { startUploadSweeper } from "./lib/uploadSweeper.js";
+import { startScheduledMessageRunner } from "./lib/scheduledMessages.js";
+import { startMessageExpirySweeper } from "./lib/messageExpiry.js";
 import { app, server } from "./lib/socket.js";
 
 dotenv.config();
@@ -15,7 +22,8 @@ const PORT = process.env.PORT;
 const __dirname = path.resolve();
 
 // Middleware
-app.use(express.json({ limit: "10mb" }));
+// Files are streamed to /api/uploads, so JSON bodies stay small
+app.use(express.json());
 app.use(cookieParser());
 app.use(
   cors({
@@ -27,6 +35,13 @@ app.use(
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/messages", messageRoutes);
+app.use("/api/conversations", conversationRoutes);
+app.use("/api/uploads", uploadRoutes);
+app.use("/api/scheduled-messages", scheduledMessageRoutes);
+app.use("/api/keys", keyRoutes);
+
+// Files stored by the local storage driver
+app.use("/uploads", serveUploads);
 
 // Serve static files in production
 if (process.env.NODE_ENV === "production") {
@@ -40,6 +55,9 @@ if (process.env.NODE_ENV === "production") {
 const startServer = async () => {
   try {
     await connectDB(); // connect to DB first
+    startUploadSweeper();
+    startScheduledMessageRunner();
+    startMessageExpirySweeper();
     server.listen(PORT, () => {
       console.log("Server is running on PORT:", PORT);
     });
@@ -50,43 +68,3 @@ const startServer = async () => {
 };
 
 startServer();
-
-(async function() {
-  // Configuration
-  cloudinary.config({ 
-    cloud_name: 'dwcxk9yzb', 
-    api_key: '843863953363465', 
-    api_secret: 'lsWENDj3raIfXjCpRRUFCAJ8osY' // Click 'View API Keys' above to copy your API secret
-  });
-
-  // Upload an image
-  const uploadResult = await cloudinary.uploader
-    .upload(
-      'https://res.cloudinary.com/demo/image/upload/getting-started/shoes.jpg', {
-        public_id: 'shoes',
-      }
-    )
-    .catch((error) => {
-      console.log(error);
-    });
-
-  console.log(uploadResult);
-
-  // Optimize delivery by resizing and applying auto-format and auto-quality
-  const optimizeUrl = cloudinary.url('shoes', {
-    fetch_format: 'auto',
-    quality: 'auto'
-  });
-
-  console.log(optimizeUrl);
-
-  // Transform the image: auto-crop to square aspect_ratio
-  const autoCropUrl = cloudinary.url('shoes', {
-    crop: 'auto',
-    gravity: 'auto',
-    width: 500,
-    height: 500,
-  });
-
-  console.log(autoCropUrl);    
-})();
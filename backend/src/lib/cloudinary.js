@@ -10,4 +10,16 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
+// Remove an uploaded asset given the secure URL stored on a document
+export const deleteUploadByUrl = async (url) => {
+  // e.g. https://res.cloudinary.com/<cloud>/image/upload/v1712345678/folder/name.jpg
+  // Audio is stored as a "video" resource; the public ID of a "raw" file keeps its extension
+  const match = url.match(/\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+)$/i);
+  if (!match) return;
+
+  const [, resourceType, path] = match;
+  const publicId = resourceType === "raw" ? path : path.replace(/\.[a-z0-9]+$/i, "");
+  await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+};
+
 export default cloudinary;
\ No newline at end of file
@@ -0,0 +1,57 @@
+import sharp from "sharp";
+
+// Longest side of the size displayed in the chat, and of the thumbnail used for avatars
+const MEDIUM_SIZE = 1280;
+const THUMBNAIL_SIZE = 320;
+// Width of the blurred preview shown while an image loads; small enough to inline as a data URL
+const PLACEHOLDER_WIDTH = 16;
+
+// Formats the original is kept in; anything else sharp reads (TIFF, HEIF...) becomes a JPEG
+const KEPT_FORMATS = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+  avif: "image/avif",
+};
+
+// Re-encode an uploaded image: apply the EXIF orientation, drop all metadata (such as the GPS
+// location) and make the smaller sizes. Resolves to null for anything that is not a raster image
+// sharp can read
+export const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    return null;
+  }
+  // SVGs can carry scripts, so they are never shown inline
+  if (!metadata.format || metadata.format === "svg") return null;
+
+  const animated = (metadata.pages || 1) > 1;
+  // sharp writes no metadata unless asked to; rotate() bakes in the EXIF orientation first.
+  // Animations (GIF, WebP) carry no orientation and keep all their frames
+  const load = () => (animated ? sharp(buffer, { animated }) : sharp(buffer).rotate());
+  const resize = (size) =>
+    load().resize(size, size, { fit: "inside", withoutEnlargement: true }).webp().toBuffer();
+
+  const format = KEPT_FORMATS[metadata.format] ? metadata.format : "jpeg";
+  const [{ data: original, info }, medium, thumbnail, placeholder] = await Promise.all([
+    load().toFormat(format).toBuffer({ resolveWithObject: true }),
+    resize(MEDIUM_SIZE),
+    resize(THUMBNAIL_SIZE),
+    load().resize(PLACEHOLDER_WIDTH).blur().webp({ quality: 40 }).toBuffer(),
+  ]);
+
+  return {
+    original,
+    mimeType: KEPT_FORMATS[format],
+    extension: format === "jpeg" ? "jpg" : format,
+    medium,
+    thumbnail,
+    width: info.width,
+    // Animations are encoded as a tall strip of frames
+    height: info.pageHeight || info.height,
+    placeholder: `data:image/webp;base64,${placeholder.toString("base64")}`,
+  };
+};
@@ -0,0 +1,268 @@
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+import LinkPreview from "../models/linkPreview.model.js";
+
+// The whole fetch, redirects included, must finish within this
+const FETCH_TIMEOUT_MS = Number(process.env.LINK_PREVIEW_TIMEOUT_MS) || 5000;
+// Only the start of the page is read; the metadata lives in <head>
+const MAX_HTML_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_URL_LENGTH = 2048;
+
+const URL_REGEX = /\bhttps?:\/\/[^\s<>"]+/i;
+// Punctuation that usually ends the sentence rather than the link
+const TRAILING_PUNCTUATION_REGEX = /[.,!?;:'"\]]+$/;
+
+// Addresses a preview must never be fetched from: loopback, private networks, link-local
+// (including cloud metadata endpoints), carrier-grade NAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 127],
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv6"));
+
+const isBlockedAddress = (address, family) =>
+  blockedAddresses.check(address, family === 6 || family === "IPv6" ? "ipv6" : "ipv4");
+
+// DNS lookup for the requests below that refuses private addresses. Checking the address that is
+// actually connected to, rather than resolving ahead of time, also defeats DNS rebinding
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some((entry) => isBlockedAddress(entry.address, entry.family))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Only plain web pages on the default ports; IP literals skip the DNS lookup, so check them here
+const assertFetchable = (url) => {
+  if (!["http:", "https:"].includes(url.protocol) || url.username || url.password) {
+    throw new Error("Unsupported URL");
+  }
+  if (url.port && !["80", "443"].includes(url.port)) {
+    throw new Error("Unsupported port");
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  const ipVersion = net.isIP(hostname);
+  if (ipVersion && isBlockedAddress(hostname, ipVersion)) {
+    throw new Error("Private address");
+  }
+};
+
+const request = (url, signal) =>
+  new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const req = client.get(
+      url,
+      {
+        lookup: safeLookup,
+        signal,
+        headers: {
+          "User-Agent": "Mozilla/5.0 (compatible; ChatAppLinkPreview/1.0)",
+          Accept: "text/html,application/xhtml+xml",
+        },
+      },
+      resolve
+    );
+    req.on("error", reject);
+  });
+
+// Read the response body up to MAX_HTML_BYTES, then stop downloading
+const readHtml = (res) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const finish = () => resolve(Buffer.concat(chunks).toString("utf8"));
+
+    res.on("data", (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= MAX_HTML_BYTES) {
+        res.destroy();
+        finish();
+      }
+    });
+    res.on("end", finish);
+    res.on("error", reject);
+  });
+
+// Resolves to {html, url} with the final URL after redirects, or null when it isn't an HTML page
+const fetchHtml = async (pageUrl) => {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let url = new URL(pageUrl);
+
+  for (let redirects = 0; ; redirects++) {
+    assertFetchable(url);
+    const res = await request(url, signal);
+
+    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+      res.resume();
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error("Too many redirects");
+      }
+      url = new URL(res.headers.location, url);
+      continue;
+    }
+
+    const contentType = res.headers["content-type"] || "";
+    if (res.statusCode !== 200 || !/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+      res.resume();
+      return null;
+    }
+
+    return { html: await readHtml(res), url };
+  }
+};
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] !== "#") return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+
+    const codePoint =
+      entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+    try {
+      return String.fromCodePoint(codePoint);
+    } catch {
+      return match;
+    }
+  });
+
+const cleanText = (text, maxLength) => {
+  const cleaned = decodeEntities(text || "").replace(/\s+/g, " ").trim();
+  return cleaned.length > maxLength ? `${cleaned.slice(0, maxLength - 1)}…` : cleaned;
+};
+
+const getAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"));
+  return match && (match[1] ?? match[2] ?? match[3]);
+};
+
+// Pull the OpenGraph (falling back to Twitter card and plain HTML) title, description and image
+// out of the page's <head>; returns null when there is nothing worth showing
+const extractPreview = (html, pageUrl) => {
+  const headEnd = html.search(/<\/head>/i);
+  const head = headEnd === -1 ? html : html.slice(0, headEnd);
+
+  const meta = {};
+  for (const [tag] of head.matchAll(/<meta\s[^>]*>/gi)) {
+    const key = (getAttribute(tag, "property") || getAttribute(tag, "name") || "").toLowerCase();
+    const content = getAttribute(tag, "content");
+    if (key && content && !(key in meta)) {
+      meta[key] = content;
+    }
+  }
+
+  const title = cleanText(
+    meta["og:title"] || meta["twitter:title"] || head.match(/<title[^>]*>([^<]*)/i)?.[1],
+    MAX_TITLE_LENGTH
+  );
+  if (!title) return null;
+
+  let image;
+  const imageUrl = meta["og:image"] || meta["og:image:url"] || meta["twitter:image"];
+  if (imageUrl) {
+    try {
+      const resolved = new URL(decodeEntities(imageUrl), pageUrl);
+      const isWebUrl = ["http:", "https:"].includes(resolved.protocol);
+      if (isWebUrl && resolved.href.length <= MAX_URL_LENGTH) {
+        image = resolved.href;
+      }
+    } catch {
+      // Not a usable URL; show the preview without an image
+    }
+  }
+
+  return {
+    title,
+    description: cleanText(
+      meta["og:description"] || meta["twitter:description"] || meta.description,
+      MAX_DESCRIPTION_LENGTH
+    ),
+    image,
+    siteName: cleanText(meta["og:site_name"], MAX_TITLE_LENGTH) || pageUrl.hostname,
+  };
+};
+
+// First http(s) link in a message's text, without the punctuation that follows it, or null
+export const findFirstUrl = (text) => {
+  const match = typeof text === "string" && text.match(URL_REGEX);
+  if (!match) return null;
+
+  let url = match[0].replace(TRAILING_PUNCTUATION_REGEX, "");
+  // Keep the closing parenthesis of links like .../Foo_(bar), drop the one closing a sentence
+  if (url.endsWith(")") && !url.includes("(")) {
+    url = url.slice(0, -1);
+  }
+
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    return parsed.href.length <= MAX_URL_LENGTH ? parsed.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// Fetches in progress, so a link sent several times at once is fetched once
+const pendingFetches = new Map();
+
+const fetchPreview = async (url) => {
+  let preview = null;
+  try {
+    const page = await fetchHtml(url);
+    preview = page && extractPreview(page.html, page.url);
+  } catch (error) {
+    console.log("Error fetching link preview: ", error.message);
+  }
+
+  await LinkPreview.updateOne(
+    { url },
+    { ...preview, empty: !preview, fetchedAt: new Date() },
+    { upsert: true }
+  );
+  return preview && { url, ...preview };
+};
+
+// Preview of the page at url ({url, title, description, image, siteName}) from the cache or
+// fetched now; resolves to null when the page has nothing to show
+export const getLinkPreview = async (url) => {
+  const cached = await LinkPreview.findOne({ url });
+  if (cached) {
+    if (cached.empty) return null;
+    const { title, description, image, siteName } = cached;
+    return { url, title, description, image, siteName };
+  }
+
+  if (!pendingFetches.has(url)) {
+    pendingFetches.set(url, fetchPreview(url).finally(() => pendingFetches.delete(url)));
+  }
+  return pendingFetches.get(url);
+};
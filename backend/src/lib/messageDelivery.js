@@ -0,0 +1,368 @@
+import mongoose from "mongoose";
+import User from "../models/user.model.js";
+import Message from "../models/message.models.js";
+import Conversation from "../models/conversation.model.js";
+import Upload from "../models/upload.model.js";
+import DeviceKey from "../models/deviceKey.model.js";
+
+import { findFirstUrl, getLinkPreview } from "./linkPreview.js";
+import { emitToConversation, emitToUser, getReceiverSocketId, io } from "./socket.js";
+
+// What a reply's quote shows of the message it replies to
+export const PARENT_MESSAGE_FIELDS = "senderId text encrypted image audio attachment deletedAt";
+
+// Voice notes longer than this are rejected
+const MAX_VOICE_NOTE_SECONDS = Number(process.env.MAX_VOICE_NOTE_SECONDS) || 300;
+// The player draws at most this many waveform bars
+const MAX_WAVEFORM_BARS = 100;
+
+// Check the details sent with a voice note, {duration, waveform}; returns an error message or null
+const validateVoiceNote = (voiceNote) => {
+  if (typeof voiceNote !== "object") {
+    return "Invalid voice note";
+  }
+
+  const duration = Number(voiceNote.duration);
+  if (!Number.isFinite(duration) || duration <= 0 || duration > MAX_VOICE_NOTE_SECONDS) {
+    return `Voice notes can be at most ${MAX_VOICE_NOTE_SECONDS} seconds long`;
+  }
+
+  if (!Array.isArray(voiceNote.waveform) || voiceNote.waveform.length > MAX_WAVEFORM_BARS) {
+    return "Invalid voice note waveform";
+  }
+
+  return null;
+};
+
+const CLIENT_ID_REGEX = /^[\w-]{1,64}$/;
+// A resend that finds its upload claimed this recently is taken for a copy of the message still
+// being stored; an older claim means the upload went to another message
+const CONCURRENT_SEND_WINDOW_MS = 30 * 1000;
+
+// The message the sender already sent with this client ID, if any
+const findSentMessage = (senderId, clientId) =>
+  Message.findOne({ senderId, clientId }).populate("parentMessage", PARENT_MESSAGE_FIELDS);
+
+// Largest encrypted content accepted, in base64 characters
+const MAX_CIPHERTEXT_LENGTH = 64 * 1024;
+const MAX_WRAPPED_KEY_LENGTH = 1024;
+// Both users' devices together can never be more than this
+const MAX_ENCRYPTED_KEYS = 100;
+
+const isBase64 = (value, maxLength) =>
+  typeof value === "string" &&
+  value.length > 0 &&
+  value.length <= maxLength &&
+  /^[A-Za-z0-9+/]+={0,2}$/.test(value);
+
+// Check the content of an encrypted message, {iv, ciphertext, keys}: the one-off key must only
+// be given to published devices of the two users. Returns an error message or null
+const validateEncryptedContent = async (encrypted, senderId, partnerId) => {
+  if (
+    typeof encrypted !== "object" ||
+    !isBase64(encrypted.iv, 32) ||
+    !isBase64(encrypted.ciphertext, MAX_CIPHERTEXT_LENGTH) ||
+    !Array.isArray(encrypted.keys) ||
+    encrypted.keys.length === 0 ||
+    encrypted.keys.length > MAX_ENCRYPTED_KEYS
+  ) {
+    return "Invalid encrypted message";
+  }
+
+  const participantIds = [senderId.toString(), partnerId.toString()];
+  const devices = new Set();
+  for (const key of encrypted.keys) {
+    if (
+      !key ||
+      !participantIds.includes(String(key.userId)) ||
+      typeof key.deviceId !== "string" ||
+      !isBase64(key.wrappedKey, MAX_WRAPPED_KEY_LENGTH)
+    ) {
+      return "Invalid encrypted message";
+    }
+    devices.add(`${key.userId}:${key.deviceId}`);
+  }
+  if (devices.size !== encrypted.keys.length) {
+    return "Invalid encrypted message";
+  }
+
+  const publishedCount = await DeviceKey.countDocuments({
+    $or: encrypted.keys.map(({ userId, deviceId }) => ({ userId, deviceId })),
+  });
+  if (publishedCount !== encrypted.keys.length) {
+    return "The message was encrypted for a device that is no longer set up";
+  }
+
+  return null;
+};
+
+// A chat ID is either a group the caller belongs to or the other user of a direct chat
+export const resolveChat = async (chatId, myId) => {
+  if (!mongoose.isValidObjectId(chatId)) return null;
+
+  const group = await Conversation.findOne({ _id: chatId, type: "group" });
+  if (group) {
+    if (!group.members.some((memberId) => memberId.equals(myId))) return null;
+    return { group, filter: { conversationId: group._id } };
+  }
+
+  if (!(await User.exists({ _id: chatId }))) return null;
+
+  return {
+    partnerId: chatId,
+    filter: {
+      $or: [
+        { senderId: myId, receiverId: chatId },
+        { senderId: chatId, receiverId: myId },
+      ],
+    },
+  };
+};
+
+// Group messages have no single receiver
+export const isGroupMessage = (message) => !message.receiverId;
+
+// Whether the user takes part in the message's chat
+export const isMessageParticipant = async (message, userId) => {
+  if (!isGroupMessage(message)) {
+    return message.senderId.equals(userId) || message.receiverId.equals(userId);
+  }
+  return Boolean(await Conversation.exists({ _id: message.conversationId, members: userId }));
+};
+
+// Send a message event to everyone in the message's chat except the acting user
+export const emitToOtherParticipants = (message, event, payload, userId) => {
+  if (isGroupMessage(message)) {
+    emitToConversation(message.conversationId, event, payload, userId);
+  } else {
+    const otherUserId = message.senderId.equals(userId) ? message.receiverId : message.senderId;
+    emitToUser(otherUserId, event, payload);
+  }
+};
+
+// Send a message event to everyone in the message's chat, the acting user included
+export const emitToAllParticipants = (message, event, payload) => {
+  if (isGroupMessage(message)) {
+    emitToConversation(message.conversationId, event, payload);
+  } else {
+    emitToUser(message.senderId, event, payload);
+    emitToUser(message.receiverId, event, payload);
+  }
+};
+
+// Fetch the preview for the message's first link after it has been sent, then show it to everyone
+// in the chat, the sender included
+export const attachLinkPreview = async (message) => {
+  const url = findFirstUrl(message.text);
+  if (!url || message.linkPreviewRemoved || message.linkPreview?.url === url) return;
+
+  try {
+    const linkPreview = await getLinkPreview(url);
+    if (!linkPreview) return;
+
+    // Skip it if the message was edited, deleted or had its preview removed in the meantime
+    const updatedMessage = await Message.findOneAndUpdate(
+      { _id: message._id, text: message.text, deletedAt: null, linkPreviewRemoved: false },
+      { linkPreview },
+      { new: true }
+    );
+    if (updatedMessage) {
+      emitToAllParticipants(updatedMessage, "messageUpdated", updatedMessage);
+    }
+  } catch (error) {
+    console.log("Error attaching link preview: ", error.message);
+  }
+};
+
+// Validate, store and broadcast a new message from senderId to the chat (a user or a group), the
+// way every message is sent: from the REST API, over the socket and by the scheduled message
+// runner. Resolves to {message}, or {status, error} when the message is refused. A message sent
+// again with the same clientId resolves to the stored one and is not delivered twice
+export const deliverMessage = async (
+  senderId,
+  chatId,
+  // uploadId comes from POST /api/uploads; voiceNote marks an audio upload as a voice note;
+  // linkPreview: false means the sender removed the preview of their link before sending;
+  // parentMessageId makes the message a reply in that message's thread; encrypted is the content
+  // of an end-to-end encrypted direct message, sent instead of text; clientId is the ID the
+  // sender's app gave the message
+  { text, uploadId, voiceNote, linkPreview, parentMessageId, encrypted, clientId } = {}
+) => {
+  if (clientId !== undefined) {
+    if (typeof clientId !== "string" || !CLIENT_ID_REGEX.test(clientId)) {
+      return { status: 400, error: "Invalid client message ID" };
+    }
+    const sentMessage = await findSentMessage(senderId, clientId);
+    if (sentMessage) {
+      return { message: sentMessage };
+    }
+  }
+
+  if (text !== undefined && text !== null && typeof text !== "string") {
+    return { status: 400, error: "Invalid message text" };
+  }
+
+  const chat = await resolveChat(chatId, senderId);
+  if (!chat) {
+    return { status: 404, error: "Conversation not found" };
+  }
+
+  if (encrypted) {
+    if (chat.group) {
+      return { status: 400, error: "Only direct messages can be encrypted" };
+    }
+    if (text || voiceNote) {
+      return { status: 400, error: "Encrypted messages carry their text encrypted" };
+    }
+    const encryptedError = await validateEncryptedContent(encrypted, senderId, chat.partnerId);
+    if (encryptedError) {
+      return { status: 400, error: encryptedError };
+    }
+  }
+
+  let threadRootId;
+  if (parentMessageId) {
+    const parent =
+      mongoose.isValidObjectId(parentMessageId) &&
+      (await Message.findOne({ _id: parentMessageId, ...chat.filter }));
+    if (!parent || parent.deletedAt) {
+      return { status: 404, error: "Message not found" };
+    }
+    threadRootId = parent.parentMessageId || parent._id;
+  }
+
+  if (voiceNote) {
+    const voiceNoteError = uploadId
+      ? validateVoiceNote(voiceNote)
+      : "Voice note must be an audio recording";
+    if (voiceNoteError) {
+      return { status: 400, error: voiceNoteError };
+    }
+  }
+
+  let upload;
+  if (uploadId) {
+    upload = await Upload.claim(uploadId, senderId, voiceNote ? "audio" : undefined);
+    if (!upload && clientId !== undefined) {
+      // A copy of this message sent at the same time, such as a retry, may have claimed it first
+      const sentMessage = await findSentMessage(senderId, clientId);
+      if (sentMessage) {
+        return { message: sentMessage };
+      }
+      // A claim made just now is most likely that copy, still being stored; the client retries
+      // 5xx and then finds it
+      const isClaimedJustNow =
+        mongoose.isValidObjectId(uploadId) &&
+        (await Upload.exists({
+          _id: uploadId,
+          uploaderId: senderId,
+          claimedAt: { $gt: new Date(Date.now() - CONCURRENT_SEND_WINDOW_MS) },
+        }));
+      if (isClaimedJustNow) {
+        return { status: 503, error: "The message is still being sent" };
+      }
+    }
+    if (!upload) {
+      return { status: 404, error: "Upload not found" };
+    }
+  }
+
+  let imageUrl;
+  let imageDetails;
+  let audio;
+  let attachment;
+  if (voiceNote) {
+    // Prefer the length measured by the storage backend when it reports one
+    audio = {
+      url: upload.url,
+      duration: upload.duration || Number(voiceNote.duration),
+      waveform: voiceNote.waveform.map((level) => Math.min(Math.max(Number(level) || 0, 0), 1)),
+    };
+  } else if (upload?.kind === "image") {
+    imageUrl = upload.url;
+    imageDetails = {
+      width: upload.width,
+      height: upload.height,
+      placeholder: upload.placeholder,
+      medium: upload.variants?.medium,
+      thumbnail: upload.variants?.thumbnail,
+    };
+  } else if (upload) {
+    attachment = {
+      url: upload.url,
+      name: upload.name,
+      size: upload.size,
+      mimeType: upload.mimeType,
+    };
+  }
+
+  let newMessage;
+  try {
+    const conversation =
+      chat.group || (await Conversation.findOrCreateDirect(senderId, chat.partnerId));
+
+    newMessage = new Message({
+      senderId,
+      receiverId: chat.partnerId,
+      conversationId: conversation._id,
+      clientId,
+      text,
+      encrypted,
+      image: imageUrl,
+      imageDetails,
+      audio,
+      attachment,
+      // The server can't read an encrypted message's links, so it never previews them
+      linkPreviewRemoved: linkPreview === false || Boolean(encrypted),
+      parentMessageId: threadRootId,
+      expiresAt: conversation.disappearAfterSeconds
+        ? new Date(Date.now() + conversation.disappearAfterSeconds * 1000)
+        : null,
+    });
+
+    await newMessage.save();
+  } catch (error) {
+    // The same message was sent twice at once, and the other copy was stored first
+    if (error.code === 11000 && clientId) {
+      const sentMessage = await findSentMessage(senderId, clientId);
+      if (sentMessage) return { message: sentMessage };
+    }
+    // Nothing uses the upload after all: free it for a retry, or for the sweeper
+    if (upload) {
+      await Upload.updateOne({ _id: upload._id }, { claimedAt: null });
+    }
+    throw error;
+  }
+
+  let threadRoot;
+  if (threadRootId) {
+    threadRoot = await Message.findByIdAndUpdate(
+      threadRootId,
+      { $inc: { replyCount: 1 }, lastReplyAt: newMessage.createdAt },
+      { new: true }
+    );
+    await newMessage.populate("parentMessage", PARENT_MESSAGE_FIELDS);
+  }
+
+  if (chat.group) {
+    emitToConversation(chat.group._id, "newMessage", newMessage, senderId);
+  } else {
+    const receiverSocketId = getReceiverSocketId(chat.partnerId);
+    if (receiverSocketId) {
+      io.to(receiverSocketId).emit("newMessage", newMessage);
+    }
+  }
+
+  if (threadRoot) {
+    const { replyCount, lastReplyAt } = threadRoot;
+    emitToAllParticipants(threadRoot, "threadUpdated", {
+      messageId: threadRoot._id,
+      replyCount,
+      lastReplyAt,
+    });
+  }
+
+  attachLinkPreview(newMessage);
+
+  return { message: newMessage };
+};
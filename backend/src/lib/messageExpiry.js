@@ -0,0 +1,55 @@
+import Message from "../models/message.models.js";
+import { deleteFile } from "./storage/index.js";
+import { emitToAllParticipants } from "./messageDelivery.js";
+
+const SWEEP_INTERVAL_MS = (Number(process.env.MESSAGE_EXPIRY_SWEEP_SECONDS) || 60) * 1000;
+// Expired messages handled per query, so a large backlog is worked through in steps
+const SWEEP_BATCH_SIZE = 200;
+
+// Matches messages that have not expired; ones past their time may wait for the next sweep, but
+// are never shown again
+export const notExpired = () => ({ expiresAt: { $not: { $lte: new Date() } } });
+
+// Delete disappearing messages whose time is up, with their files, and tell everyone in their
+// chats so the messages disappear from open timelines. A TTL index would delete the documents
+// but leave the files behind and the clients unaware
+export const deleteExpiredMessages = async () => {
+  for (;;) {
+    const expiredMessages = await Message.find({ expiresAt: { $lte: new Date() } }).limit(
+      SWEEP_BATCH_SIZE
+    );
+    if (expiredMessages.length === 0) return;
+
+    const deletedByConversation = new Map(); // {conversationId: [message]}
+    for (const message of expiredMessages) {
+      try {
+        for (const url of message.getFileUrls()) {
+          await deleteFile(url);
+        }
+        await message.deleteOne();
+        const key = message.conversationId.toString();
+        deletedByConversation.set(key, [...(deletedByConversation.get(key) || []), message]);
+      } catch (error) {
+        // Try again on the next sweep
+        console.log("Error deleting expired message: ", error.message);
+      }
+    }
+
+    deletedByConversation.forEach((messages) => {
+      emitToAllParticipants(messages[0], "messagesExpired", {
+        messageIds: messages.map((message) => message._id),
+      });
+    });
+
+    // Everything left failed and is retried on the next sweep
+    if (deletedByConversation.size === 0) return;
+  }
+};
+
+export const startMessageExpirySweeper = () => {
+  setInterval(() => {
+    deleteExpiredMessages().catch((error) => {
+      console.log("Error in message expiry sweeper: ", error.message);
+    });
+  }, SWEEP_INTERVAL_MS).unref();
+};
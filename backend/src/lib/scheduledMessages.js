@@ -0,0 +1,112 @@
+import ScheduledMessage from "../models/scheduledMessage.model.js";
+import { deliverMessage } from "./messageDelivery.js";
+import { emitToUser } from "./socket.js";
+
+// How often the runner looks for messages that are due
+const POLL_INTERVAL_MS = (Number(process.env.SCHEDULED_MESSAGE_POLL_SECONDS) || 15) * 1000;
+// A message still "sending" after this long was left behind by a crash or restart; send it again
+const STALE_LOCK_MS = 5 * 60 * 1000;
+// Give up on a message after this many attempts that ended without an answer
+const MAX_ATTEMPTS = 3;
+
+// Take the next due message for delivery. The update is atomic, so a message is only ever taken by
+// one runner, even with several server instances
+const claimDueMessage = () => {
+  const now = new Date();
+  return ScheduledMessage.findOneAndUpdate(
+    {
+      sendAt: { $lte: now },
+      $or: [
+        { status: "pending" },
+        {
+          status: "sending",
+          lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) },
+          attempts: { $lt: MAX_ATTEMPTS },
+        },
+      ],
+    },
+    { status: "sending", lockedAt: now, $inc: { attempts: 1 } },
+    { sort: { sendAt: 1 }, new: true }
+  );
+};
+
+// Send a scheduled message the runner (or its sender) has taken, through the same path as any
+// other message. Resolves like deliverMessage: {message} once sent, after which the scheduled
+// message is removed, or {status, error} when it was refused and is now marked as failed
+export const deliverScheduledMessage = async (scheduledMessage) => {
+  const { senderId, chatId, text, uploadId, linkPreviewRemoved, parentMessageId } =
+    scheduledMessage;
+
+  const result = await deliverMessage(senderId, chatId.toString(), {
+    text,
+    uploadId,
+    linkPreview: linkPreviewRemoved ? false : undefined,
+    parentMessageId,
+    // Sending it again, after a crash or a stale lock, resolves to the message already stored
+    clientId: scheduledMessage._id.toString(),
+  });
+
+  if (!result.message) {
+    scheduledMessage.status = "failed";
+    scheduledMessage.error = result.error;
+    scheduledMessage.lockedAt = null;
+    await scheduledMessage.save();
+
+    emitToUser(senderId, "scheduledMessageUpdated", scheduledMessage);
+    return result;
+  }
+
+  await scheduledMessage.deleteOne();
+
+  // The sender's client adds the message to its timeline from this
+  emitToUser(senderId, "scheduledMessageSent", {
+    scheduledMessageId: scheduledMessage._id,
+    message: result.message,
+  });
+  return result;
+};
+
+// Send every message that is due. A message sent again after a crash between sending it and
+// removing it from the schedule is recognised by its client ID and not delivered twice
+export const sendDueScheduledMessages = async () => {
+  await ScheduledMessage.updateMany(
+    {
+      status: "sending",
+      lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+      attempts: { $gte: MAX_ATTEMPTS },
+    },
+    { status: "failed", error: "The message could not be sent", lockedAt: null }
+  );
+
+  let scheduledMessage;
+  while ((scheduledMessage = await claimDueMessage())) {
+    try {
+      await deliverScheduledMessage(scheduledMessage);
+    } catch (error) {
+      // Still "sending": it is tried again once its lock is stale
+      console.log("Error sending scheduled message: ", error.message);
+    }
+  }
+};
+
+// The schedule lives in the database, so messages that fell due while the server was down are
+// sent on the first run after it starts
+export const startScheduledMessageRunner = () => {
+  let isRunning = false;
+
+  const run = async () => {
+    // A slow run must not overlap with the next one
+    if (isRunning) return;
+    isRunning = true;
+    try {
+      await sendDueScheduledMessages();
+    } catch (error) {
+      console.log("Error in scheduled message runner: ", error.message);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  run();
+  setInterval(run, POLL_INTERVAL_MS).unref();
+};
@@ -1,6 +1,13 @@
 import { Server } from "socket.io";
 import http from "http";
+import crypto from "crypto";
 import express from "express";
+import mongoose from "mongoose";
+import cookieParser from "cookie-parser";
+import Message from "../models/message.models.js";
+import Conversation from "../models/conversation.model.js";
+import { deliverMessage } from "./messageDelivery.js";
+import { protectSocket } from "../middleware/auth.middleware.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -9,9 +16,15 @@ const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
     origin: ["http://localhost:5173"], // Allow requests from your client-side application
+    credentials: true, // The handshake carries the auth cookie
   },
 });
 
+// Connections are authenticated with the same jwt cookie as the API; the user comes from the
+// token, never from what the client says
+io.engine.use(cookieParser());
+io.use(protectSocket);
+
 // Used to store online users and their socket IDs
 const userSocketMap = {}; // {userId: socketId}
 
@@ -20,81 +33,561 @@ export function getReceiverSocketId(userId) {
   return userSocketMap[userId];
 }
 
+// How long a typing indicator survives without a refresh from the typist
+const TYPING_TIMEOUT_MS = 5000;
+
+// Used to expire typing indicators server-side
+const typingTimers = {}; // {"typistId:partnerId": timeout}
+
+// Helper function to emit an event to a user if they are online
+export function emitToUser(userId, event, payload) {
+  const socketId = userSocketMap[userId];
+  if (socketId) {
+    io.to(socketId).emit(event, payload);
+  }
+}
+
+// Room that every online member of a group conversation joins
+export function getConversationRoom(conversationId) {
+  return `conversation:${conversationId}`;
+}
+
+// Emit an event to every online member of a conversation, optionally skipping one user
+export function emitToConversation(conversationId, event, payload, exceptUserId) {
+  let target = io.to(getConversationRoom(conversationId));
+  const exceptSocketId = exceptUserId && userSocketMap[exceptUserId];
+  if (exceptSocketId) {
+    target = target.except(exceptSocketId);
+  }
+  target.emit(event, payload);
+}
+
+// Add or remove a user's socket from a conversation room after membership changes
+export function joinConversationRoom(userId, conversationId) {
+  const socketId = userSocketMap[userId];
+  if (socketId) {
+    io.in(socketId).socketsJoin(getConversationRoom(conversationId));
+  }
+}
+
+export function leaveConversationRoom(userId, conversationId) {
+  const socketId = userSocketMap[userId];
+  if (socketId) {
+    io.in(socketId).socketsLeave(getConversationRoom(conversationId));
+  }
+}
+
+// Join the rooms of every group the user belongs to
+async function joinGroupRooms(socket, userId) {
+  try {
+    const groups = await Conversation.find({ type: "group", members: userId }).select("_id");
+    socket.join(groups.map((group) => getConversationRoom(group._id)));
+  } catch (error) {
+    console.log("Error joining group rooms:", error.message);
+  }
+}
+
+// Notify each sender which of their messages have reached the receiver
+function notifySendersOfDelivery(messages, deliveredAt) {
+  const messageIdsBySender = {};
+  messages.forEach(({ _id, senderId }) => {
+    (messageIdsBySender[senderId] ||= []).push(_id);
+  });
+
+  Object.entries(messageIdsBySender).forEach(([senderId, messageIds]) => {
+    emitToUser(senderId, "messagesDelivered", { messageIds, deliveredAt });
+  });
+}
+
+// Mark messages sent while the user was offline as delivered once they connect
+async function markPendingMessagesAsDelivered(userId) {
+  try {
+    const pendingMessages = await Message.find({ receiverId: userId, deliveredAt: null }).select(
+      "_id senderId"
+    );
+    if (pendingMessages.length === 0) return;
+
+    const deliveredAt = new Date();
+    await Message.updateMany(
+      { _id: { $in: pendingMessages.map((message) => message._id) } },
+      { deliveredAt }
+    );
+
+    notifySendersOfDelivery(pendingMessages, deliveredAt);
+  } catch (error) {
+    console.log("Error marking pending messages as delivered:", error.message);
+  }
+}
+
+// Whether two users have a direct conversation: messages between them, or a conversation
+// document (which older message history may lack, and which outlives disappearing messages)
+async function haveDirectConversation(userA, userB) {
+  const hasMessages = await Message.exists({
+    $or: [
+      { senderId: userA, receiverId: userB },
+      { senderId: userB, receiverId: userA },
+    ],
+  });
+  return Boolean(hasMessages || (await Conversation.findDirect(userA, userB)));
+}
+
+// Tell the partner the user stopped typing and forget the expiry timer
+function stopTyping(from, to) {
+  const key = `${from}:${to}`;
+  if (!typingTimers[key]) return;
+
+  clearTimeout(typingTimers[key]);
+  delete typingTimers[key];
+  emitToUser(to, "typingStop", { from });
+}
+
+// Upper bound on people in one call; every participant keeps a peer connection to every other one
+const MAX_CALL_PARTICIPANTS = Number(process.env.MAX_CALL_PARTICIPANTS) || 8;
+
+// Calls in progress, kept in memory like the online users
+const activeCalls = {}; // {callId: {callId, conversationId, isGroup, invitedUserIds, participants: {userId: mediaState}}}
+const userCallMap = {}; // {userId: callId}
+
+// Room of the sockets currently in a call
+function getCallRoom(callId) {
+  return `call:${callId}`;
+}
+
+function findCallForConversation(conversationId) {
+  return Object.values(activeCalls).find(
+    (call) => call.conversationId === conversationId.toString()
+  );
+}
+
+// What invitees need to know about a call to show it and join it
+function describeCall(call) {
+  return {
+    callId: call.callId,
+    conversationId: call.conversationId,
+    isGroup: call.isGroup,
+    invitedUserIds: call.invitedUserIds,
+    participantIds: Object.keys(call.participants),
+  };
+}
+
+// Tell every invitee who is in the call; an empty participant list means it has ended
+function broadcastCallUpdate(call) {
+  call.invitedUserIds.forEach((id) => emitToUser(id, "callUpdated", describeCall(call)));
+}
+
+// Whether the user may take part in the call. Group membership is checked as it is now, since it
+// may have changed since the call started; the invitee list follows it so that call updates reach
+// whoever is in the group
+async function isInvitedToCall(call, userId) {
+  if (!call.isGroup) return call.invitedUserIds.includes(userId);
+
+  const isMember = Boolean(
+    await Conversation.exists({ _id: call.conversationId, type: "group", members: userId })
+  );
+  const invitedUserIds = call.invitedUserIds.filter((id) => id !== userId);
+  call.invitedUserIds = isMember ? [...invitedUserIds, userId] : invitedUserIds;
+  return isMember;
+}
+
+// Put someone who left the group out of its call, and tell them
+function removeFromGroupCall(call, userId) {
+  if (userCallMap[userId] === call.callId) {
+    removeCallParticipant(userId);
+    emitToUser(userId, "callFailed", {
+      callId: call.callId,
+      reason: "You are no longer in this group",
+    });
+  }
+}
+
+function createCall(conversationId, isGroup, invitedUserIds) {
+  const call = {
+    callId: crypto.randomUUID(),
+    conversationId: conversationId.toString(),
+    isGroup,
+    invitedUserIds: invitedUserIds.map((id) => id.toString()),
+    participants: {},
+  };
+  activeCalls[call.callId] = call;
+  return call;
+}
+
+// Put the user's socket in the call; they offer a connection to everyone already there
+function addCallParticipant(socket, call, userId, { audioEnabled, videoEnabled }) {
+  if (userCallMap[userId] === call.callId) {
+    // Rejoining, e.g. after a reload; the others drop their stale connection first
+    delete call.participants[userId];
+    socket.to(getCallRoom(call.callId)).emit("callParticipantLeft", { callId: call.callId, userId });
+  } else if (userCallMap[userId]) {
+    removeCallParticipant(userId);
+  }
+
+  const mediaState = { audioEnabled: audioEnabled !== false, videoEnabled: videoEnabled !== false };
+  const participants = Object.entries(call.participants).map(([id, state]) => ({
+    userId: id,
+    ...state,
+  }));
+
+  call.participants[userId] = mediaState;
+  userCallMap[userId] = call.callId;
+  socket.join(getCallRoom(call.callId));
+
+  socket.emit("callJoined", { ...describeCall(call), participants });
+  socket
+    .to(getCallRoom(call.callId))
+    .emit("callParticipantJoined", { callId: call.callId, userId, ...mediaState });
+  broadcastCallUpdate(call);
+}
+
+function removeCallParticipant(userId) {
+  const call = activeCalls[userCallMap[userId]];
+  delete userCallMap[userId];
+  if (!call) return;
+
+  delete call.participants[userId];
+  const socketId = userSocketMap[userId];
+  if (socketId) {
+    io.in(socketId).socketsLeave(getCallRoom(call.callId));
+  }
+
+  io.to(getCallRoom(call.callId)).emit("callParticipantLeft", { callId: call.callId, userId });
+  if (Object.keys(call.participants).length === 0) {
+    delete activeCalls[call.callId];
+  }
+  broadcastCallUpdate(call);
+}
+
+// Checks for the fields of event payloads
+const isId = (value) => typeof value === "string" && mongoose.isObjectIdOrHexString(value);
+const isCallId = (value) => typeof value === "string" && value.length > 0 && value.length <= 64;
+const isBoolean = (value) => typeof value === "boolean";
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+const optional = (check) => (value) => value === undefined || value === null || check(value);
+
+// Fields each client event's payload must have, checked before its handler runs; the handler
+// checks the rest. Events not listed here don't take a payload
+const EVENT_PAYLOADS = {
+  "message:send": { chatId: isId },
+  messageDelivered: { messageId: isId },
+  typingStart: { to: isId },
+  typingStop: { to: isId },
+  startCall: {
+    to: optional(isId),
+    conversationId: optional(isId),
+    audioEnabled: optional(isBoolean),
+    videoEnabled: optional(isBoolean),
+  },
+  joinCall: {
+    callId: isCallId,
+    audioEnabled: optional(isBoolean),
+    videoEnabled: optional(isBoolean),
+  },
+  declineCall: { callId: isCallId },
+  callSignal: {
+    callId: isCallId,
+    to: isId,
+    description: optional(isObject),
+    candidate: optional(isObject),
+  },
+  callMediaState: { callId: isCallId, audioEnabled: isBoolean, videoEnabled: isBoolean },
+};
+
+function isValidPayload(event, payload) {
+  const fields = EVENT_PAYLOADS[event];
+  if (!fields) return true;
+  return (
+    isObject(payload) && Object.entries(fields).every(([field, check]) => check(payload[field]))
+  );
+}
+
+// Tell the client one of its events was refused
+function rejectEvent(socket, event, status, message) {
+  socket.emit("eventError", { event, status, message });
+}
+
 // Socket.IO connection event handler
 io.on("connection", (socket) => {
   console.log("A user connected", socket.id);
 
-  // Get userId from handshake query
-  const userId = socket.handshake.query.userId;
-  if (userId) {
-    userSocketMap[userId] = socket.id; // Map userId to socketId
-  }
+  // Set by protectSocket from the auth cookie
+  const userId = socket.data.user._id.toString();
+  userSocketMap[userId] = socket.id; // Map userId to socketId
 
   // Emit the list of online users to all connected clients
   io.emit("getOnlineUsers", Object.keys(userSocketMap));
 
-  // WebRTC signaling handlers
-
-  // Handle "callUser" event (initiating a call)
-  socket.on("callUser", ({ userToCall, signalData, from, name }) => {
-    console.log(`Call from ${from} to ${userToCall}`);
-    const socketId = userSocketMap[userToCall]; // Get receiver's socket ID
-    if (socketId) {
-      // Emit "callUser" event to the receiver
-      io.to(socketId).emit("callUser", { 
-        signal: signalData, 
-        from, 
-        name 
-      });
+  joinGroupRooms(socket, userId);
+  markPendingMessagesAsDelivered(userId);
+
+  // Users this one has a direct conversation with, as far as checked so far. Kept per connection
+  // so that typing indicators don't cost a query each; a conversation never goes away
+  const contactIds = new Set();
+  const isContact = async (otherUserId) => {
+    if (contactIds.has(otherUserId)) return true;
+    if (otherUserId === userId || !(await haveDirectConversation(userId, otherUserId))) {
+      return false;
+    }
+    contactIds.add(otherUserId);
+    return true;
+  };
+
+  // Listen for a client event; the handler only runs for a valid payload. Refusals go to the
+  // event's acknowledgement when it has one, and out as an "eventError" otherwise
+  const handle = (event, handler) => {
+    socket.on(event, (payload, ack) => {
+      if (!isValidPayload(event, payload)) {
+        const error = { status: 400, message: "Invalid payload" };
+        return typeof ack === "function"
+          ? ack({ error })
+          : rejectEvent(socket, event, error.status, error.message);
+      }
+      handler(payload, ack);
+    });
+  };
+
+  // Delivery receipts
+
+  // Handle "messageDelivered" event (receiver acknowledging a "newMessage")
+  handle("messageDelivered", async ({ messageId }) => {
+    try {
+      const deliveredAt = new Date();
+      const message = await Message.findOneAndUpdate(
+        { _id: messageId, receiverId: userId, deliveredAt: null },
+        { deliveredAt },
+        { new: true }
+      );
+
+      if (message) {
+        notifySendersOfDelivery([message], deliveredAt);
+      }
+    } catch (error) {
+      console.log("Error in messageDelivered handler:", error.message);
+    }
+  });
+
+  // Messages
+
+  // Handle "message:send" event ({chatId, ...} with the same body as POST /api/messages/send/:id).
+  // The acknowledgement gets {message} once it is saved, or {error: {status, message}}
+  handle("message:send", async (payload, ack) => {
+    if (typeof ack !== "function") {
+      return rejectEvent(socket, "message:send", 400, "An acknowledgement is required");
+    }
+
+    try {
+      const { chatId, ...data } = payload;
+      const { message, status, error } = await deliverMessage(userId, chatId, data);
+      if (!message) {
+        return ack({ error: { status, message: error } });
+      }
+
+      ack({ message });
+    } catch (error) {
+      console.log("Error in message:send handler:", error.message);
+      ack({ error: { status: 500, message: "Internal server error" } });
+    }
+  });
+
+  // Typing indicators
+
+  // Handle "typingStart" event (sent repeatedly while the user keeps typing)
+  handle("typingStart", async ({ to }) => {
+    try {
+      if (!(await isContact(to))) {
+        return rejectEvent(socket, "typingStart", 403, "No conversation with this user");
+      }
+    } catch (error) {
+      console.log("Error in typingStart handler:", error.message);
+      return;
+    }
+
+    const key = `${userId}:${to}`;
+    if (typingTimers[key]) {
+      clearTimeout(typingTimers[key]);
     } else {
-      // If user is offline, notify the caller
-      socket.emit("callFailed", { reason: "User is offline" });
+      emitToUser(to, "typingStart", { from: userId });
     }
+
+    // Expire the indicator if the typist goes silent
+    typingTimers[key] = setTimeout(() => stopTyping(userId, to), TYPING_TIMEOUT_MS);
   });
 
-  // Handle "answerCall" event (answering a call)
-  socket.on("answerCall", (data) => {
-    console.log(`Call answered, sending to ${data.to}`);
-    const socketId = userSocketMap[data.to]; // Get caller's socket ID
-    if (socketId) {
-      // Emit "callAccepted" event to the caller with the answer signal
-      io.to(socketId).emit("callAccepted", data.signal);
+  // Handle "typingStop" event (message sent or input cleared). Only clears an indicator that
+  // typingStart let through, so it needs no check of its own
+  handle("typingStop", ({ to }) => {
+    stopTyping(userId, to);
+  });
+
+  // Call signaling
+
+  // Handle "getActiveCalls" event (client asking which calls it could join)
+  handle("getActiveCalls", async () => {
+    try {
+      for (const call of Object.values(activeCalls)) {
+        if (await isInvitedToCall(call, userId)) {
+          socket.emit("callUpdated", describeCall(call));
+        }
+      }
+    } catch (error) {
+      console.log("Error in getActiveCalls handler:", error.message);
     }
   });
 
-  // Handle "iceCandidate" event (exchanging ICE candidates)
-  socket.on("iceCandidate", (data) => {
-    console.log(`ICE candidate from ${socket.id} to ${data.to}`);
-    const socketId = userSocketMap[data.to]; // Get recipient's socket ID
-    if (socketId) {
-      // Emit "iceCandidate" event to the recipient
-      io.to(socketId).emit("iceCandidate", data.candidate);
+  // Handle "startCall" event ({to} for a direct call, {conversationId} for a group call).
+  // Joins the conversation's call instead if one is already in progress
+  handle("startCall", async ({ to, conversationId, audioEnabled, videoEnabled }) => {
+    if (!to && !conversationId) {
+      return rejectEvent(socket, "startCall", 400, "Invalid payload");
+    }
+
+    try {
+      let call;
+      if (conversationId) {
+        const group = await Conversation.findOne({
+          _id: conversationId,
+          type: "group",
+          members: userId,
+        });
+        if (!group) {
+          return socket.emit("callFailed", { reason: "Group not found" });
+        }
+        call = findCallForConversation(group._id);
+        if (call) {
+          // Ring and update whoever is in the group now
+          call.invitedUserIds = group.members.map((id) => id.toString());
+        } else {
+          call = createCall(group._id, true, group.members);
+        }
+      } else {
+        if (!to || !userSocketMap[to]) {
+          return socket.emit("callFailed", { reason: "User is offline" });
+        }
+        // Only people the user already has a conversation with can be rung
+        if (!(await isContact(to))) {
+          return socket.emit("callFailed", { reason: "Send them a message before calling" });
+        }
+        const conversation = await Conversation.findOrCreateDirect(userId, to);
+        call = findCallForConversation(conversation._id);
+        if (!call && userCallMap[to]) {
+          return socket.emit("callFailed", { reason: "User is in another call" });
+        }
+        call ||= createCall(conversation._id, false, [userId, to]);
+      }
+
+      const participantCount = Object.keys(call.participants).length;
+      if (participantCount >= MAX_CALL_PARTICIPANTS) {
+        return socket.emit("callFailed", { reason: "Call is full" });
+      }
+
+      addCallParticipant(socket, call, userId, { audioEnabled, videoEnabled });
+
+      // Only ring people for a new call; later they can join it from the conversation
+      if (participantCount === 0) {
+        call.invitedUserIds
+          .filter((id) => id !== userId && !userCallMap[id])
+          .forEach((id) =>
+            emitToUser(id, "incomingCall", {
+              ...describeCall(call),
+              from: userId,
+            })
+          );
+      }
+    } catch (error) {
+      console.log("Error in startCall handler:", error.message);
+      socket.emit("callFailed", { reason: "Failed to start call" });
     }
   });
 
-  // Handle "endCall" event (ending a call)
-  socket.on("endCall", (data) => {
-    console.log(`Call ended, notifying ${data.to}`);
-    const socketId = userSocketMap[data.to]; // Get other peer's socket ID
-    if (socketId) {
-      // Emit "callEnded" event to the other peer
-      io.to(socketId).emit("callEnded");
+  // Handle "joinCall" event (answering, or joining a call already in progress)
+  handle("joinCall", async ({ callId, audioEnabled, videoEnabled }) => {
+    try {
+      const call = activeCalls[callId];
+      if (!call || !(await isInvitedToCall(call, userId)) || !activeCalls[callId]) {
+        return socket.emit("callFailed", { reason: "Call has ended" });
+      }
+      if (Object.keys(call.participants).length >= MAX_CALL_PARTICIPANTS) {
+        return socket.emit("callFailed", { reason: "Call is full" });
+      }
+
+      addCallParticipant(socket, call, userId, { audioEnabled, videoEnabled });
+    } catch (error) {
+      console.log("Error in joinCall handler:", error.message);
+      socket.emit("callFailed", { reason: "Failed to join call" });
+    }
+  });
+
+  // Handle "declineCall" event (ignoring an incoming call)
+  handle("declineCall", async ({ callId }) => {
+    try {
+      const call = activeCalls[callId];
+      if (!call || !(await isInvitedToCall(call, userId))) {
+        return rejectEvent(socket, "declineCall", 404, "Call not found");
+      }
+      io.to(getCallRoom(callId)).emit("callDeclined", { callId, userId });
+    } catch (error) {
+      console.log("Error in declineCall handler:", error.message);
+    }
+  });
+
+  // Handle "leaveCall" event (hanging up)
+  handle("leaveCall", () => {
+    removeCallParticipant(userId);
+  });
+
+  // Handle "callSignal" event (SDP description or ICE candidate for one other participant)
+  handle("callSignal", async ({ callId, to, description, candidate }) => {
+    // Signals only go between two participants of the same call
+    if (userCallMap[userId] !== callId || userCallMap[to] !== callId) {
+      return rejectEvent(socket, "callSignal", 403, "Not in a call with this user");
+    }
+
+    try {
+      // ...who are both still in the group, for a group call
+      const call = activeCalls[callId];
+      if (call.isGroup) {
+        const [isSenderInvited, isReceiverInvited] = await Promise.all([
+          isInvitedToCall(call, userId),
+          isInvitedToCall(call, to),
+        ]);
+        if (!isReceiverInvited) removeFromGroupCall(call, to);
+        if (!isSenderInvited) removeFromGroupCall(call, userId);
+        if (!isSenderInvited || !isReceiverInvited) {
+          return rejectEvent(socket, "callSignal", 403, "Not in a call with this user");
+        }
+      }
+
+      emitToUser(to, "callSignal", { callId, from: userId, description, candidate });
+    } catch (error) {
+      console.log("Error in callSignal handler:", error.message);
     }
   });
 
-  // Handle "rejectCall" event (rejecting an incoming call)
-  socket.on("rejectCall", ({ to }) => {
-    console.log(`Call rejected, notifying ${to}`);
-    const socketId = userSocketMap[to]; // Get caller's socket ID
-    if (socketId) {
-      // Emit "callRejected" event to the caller
-      io.to(socketId).emit("callRejected");
+  // Handle "callMediaState" event (participant muted or turned their camera off)
+  handle("callMediaState", ({ callId, audioEnabled, videoEnabled }) => {
+    const call = activeCalls[callId];
+    if (!call || !call.participants[userId]) {
+      return rejectEvent(socket, "callMediaState", 403, "Not in this call");
     }
+
+    const mediaState = { audioEnabled, videoEnabled };
+    call.participants[userId] = mediaState;
+    socket.to(getCallRoom(callId)).emit("callMediaState", { callId, userId, ...mediaState });
   });
 
   // Handle "disconnect" event
   socket.on("disconnect", () => {
     console.log("A user disconnected", socket.id);
+    // The user may already be back on a new socket, e.g. after a reconnect, and this one's
+    // disconnect arrived late; the new one keeps their typing, call and online status
+    if (userSocketMap[userId] !== socket.id) return;
+    // Clear any typing indicators the user left behind
+    Object.keys(typingTimers)
+      .filter((key) => key.startsWith(`${userId}:`))
+      .forEach((key) => stopTyping(userId, key.split(":")[1]));
+    // Hang up any call the user was in
+    if (userCallMap[userId]) {
+      removeCallParticipant(userId);
+    }
     // Remove user from online users map
     delete userSocketMap[userId];
     // Emit updated list of online users
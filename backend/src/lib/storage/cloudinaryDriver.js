@@ -0,0 +1,31 @@
+import { pipeline } from "stream/promises";
+import cloudinary, { deleteUploadByUrl } from "../cloudinary.js";
+
+// Stores files on Cloudinary; it also reports the length of audio and video uploads
+const cloudinaryDriver = {
+  save: ({ stream, fileName }) =>
+    new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          // Images, audio/video and other files each go to the matching resource type
+          resource_type: "auto",
+          // Keeps the original name (and extension) in the URL of downloads
+          use_filename: Boolean(fileName),
+          filename_override: fileName,
+          unique_filename: true,
+        },
+        (error, result) => {
+          if (error) return reject(error);
+          resolve({ url: result.secure_url, duration: result.duration });
+        }
+      );
+      // A failing source (size limit, cancelled upload) rejects instead of storing part of it
+      pipeline(stream, uploadStream).catch(reject);
+    }),
+
+  owns: (url) => url.startsWith("https://res.cloudinary.com/"),
+
+  remove: deleteUploadByUrl,
+};
+
+export default cloudinaryDriver;
@@ -0,0 +1,44 @@
+import { config } from "dotenv";
+import localDriver from "./localDriver.js";
+import cloudinaryDriver from "./cloudinaryDriver.js";
+
+config();
+
+const drivers = {
+  local: localDriver,
+  cloudinary: cloudinaryDriver,
+};
+
+// STORAGE_DRIVER picks the backend; without it, Cloudinary is used only when it is configured
+const driverName =
+  process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local");
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}"; use "local" or "cloudinary"`);
+}
+
+const storage = drivers[driverName];
+
+// Store a file read from a stream with the configured driver; resolves to {url, duration?}
+export const saveFile = ({ stream, fileName, mimeType }) =>
+  storage.save({ stream, fileName, mimeType });
+
+// Delete a stored file with whichever driver stored it, even if the configuration changed since
+export const deleteFile = async (url) => {
+  const driver = Object.values(drivers).find((candidate) => candidate.owns(url));
+  if (driver) {
+    await driver.remove(url);
+  }
+};
+
+// Delete files nothing uses any more, such as a replaced avatar. A file left behind is only
+// logged: it is no reason to fail the change that made it unused
+export const deleteUnusedFiles = async (urls) => {
+  for (const url of urls) {
+    try {
+      await deleteFile(url);
+    } catch (error) {
+      console.log("Error deleting unused file: ", error.message);
+    }
+  }
+};
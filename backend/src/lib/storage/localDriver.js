@@ -0,0 +1,88 @@
+import fs from "fs/promises";
+import { createWriteStream } from "fs";
+import { pipeline } from "stream/promises";
+import path from "path";
+import crypto from "crypto";
+import express from "express";
+import { config } from "dotenv";
+
+config();
+
+// Where uploaded files are written; relative paths are resolved from the working directory
+export const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || "uploads");
+
+// Base URL the files are served from (see serveUploads); the dev client runs on another origin
+const PUBLIC_URL = (
+  process.env.UPLOAD_PUBLIC_URL ||
+  (process.env.NODE_ENV === "production"
+    ? "/uploads"
+    : `http://localhost:${process.env.PORT || 5001}/uploads`)
+).replace(/\/$/, "");
+
+// Only these are displayed by the browser; everything else is served as a download so an
+// uploaded HTML or SVG file cannot run scripts on our origin
+const INLINE_EXTENSIONS = new Set([
+  ".jpg",
+  ".jpeg",
+  ".png",
+  ".gif",
+  ".webp",
+  ".avif",
+  ".mp3",
+  ".m4a",
+  ".ogg",
+  ".wav",
+  ".webm",
+  ".mp4",
+]);
+
+// Keep a short, safe extension so files are served with the right Content-Type
+const getExtension = (fileName, mimeType) => {
+  const fromName = path.extname(fileName || "").toLowerCase();
+  if (/^\.[a-z0-9]{1,10}$/.test(fromName)) return fromName;
+
+  const subtype = (mimeType || "").split("/")[1]?.split(";")[0];
+  return /^[a-z0-9]{1,5}$/.test(subtype || "") ? `.${subtype}` : "";
+};
+
+export const serveUploads = express.static(UPLOAD_DIR, {
+  setHeaders: (res, filePath) => {
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    if (!INLINE_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+      res.setHeader("Content-Disposition", "attachment");
+    }
+  },
+});
+
+// Stores files on the server's disk, so development works without any external service
+const localDriver = {
+  save: async ({ stream, fileName, mimeType }) => {
+    await fs.mkdir(UPLOAD_DIR, { recursive: true });
+
+    const storedName = `${crypto.randomUUID()}${getExtension(fileName, mimeType)}`;
+    const filePath = path.join(UPLOAD_DIR, storedName);
+    try {
+      await pipeline(stream, createWriteStream(filePath));
+    } catch (error) {
+      // Don't leave half a file behind when the upload is cut short
+      await fs.rm(filePath, { force: true });
+      throw error;
+    }
+
+    return { url: `${PUBLIC_URL}/${storedName}` };
+  },
+
+  owns: (url) => url.startsWith(`${PUBLIC_URL}/`),
+
+  remove: async (url) => {
+    const storedName = path.basename(url.slice(PUBLIC_URL.length));
+    try {
+      await fs.unlink(path.join(UPLOAD_DIR, storedName));
+    } catch (error) {
+      // Already gone is fine
+      if (error.code !== "ENOENT") throw error;
+    }
+  },
+};
+
+export default localDriver;
@@ -0,0 +1,42 @@
+import Upload from "../models/upload.model.js";
+import ScheduledMessage from "../models/scheduledMessage.model.js";
+import { deleteFile } from "./storage/index.js";
+
+// Uploads that no message, profile or group has claimed by then are deleted
+const UNCLAIMED_UPLOAD_TTL_MS =
+  (Number(process.env.UNCLAIMED_UPLOAD_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Remove files that were uploaded but never sent, e.g. when the user closed the composer
+export const deleteUnclaimedUploads = async () => {
+  // Files of scheduled messages are only claimed when the message is sent
+  const scheduledUploadIds = await ScheduledMessage.distinct("uploadId", {
+    uploadId: { $ne: null },
+  });
+
+  const staleUploads = await Upload.find({
+    _id: { $nin: scheduledUploadIds },
+    claimedAt: null,
+    createdAt: { $lt: new Date(Date.now() - UNCLAIMED_UPLOAD_TTL_MS) },
+  });
+
+  for (const upload of staleUploads) {
+    try {
+      for (const url of upload.getFileUrls()) {
+        await deleteFile(url);
+      }
+      await upload.deleteOne();
+    } catch (error) {
+      // Try again on the next sweep
+      console.log("Error deleting unclaimed upload: ", error.message);
+    }
+  }
+};
+
+export const startUploadSweeper = () => {
+  setInterval(() => {
+    deleteUnclaimedUploads().catch((error) => {
+      console.log("Error in upload sweeper: ", error.message);
+    });
+  }, SWEEP_INTERVAL_MS).unref();
+};
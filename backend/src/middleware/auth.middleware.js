@@ -1,24 +1,34 @@
 import jwt from "jsonwebtoken";
 import User from "../models/user.model.js";
 
-export const protectRoute = async (req, res, next) => {
-  try {
-    const token = req.cookies.jwt;
+// Find the user a jwt cookie was issued to, for API requests and socket connections alike.
+// Resolves to {user}, or {status, message} when there is no such user; throws on a bad token
+const authenticateToken = async (token) => {
+  if (!token) {
+    return { status: 401, message: "Unauthorized - No Token Provided" };
+  }
 
-    if (!token) {
-      return res.status(401).json({ message: "Unauthorized - No Token Provided" });
-    }
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded) {
+    return { status: 401, message: "Unauthorized - Invalid Token" };
+  }
 
-    if (!decoded) {
-      return res.status(401).json({ message: "Unauthorized - Invalid Token" });
-    }
+  const user = await User.findById(decoded.userId).select("-password");
 
-    const user = await User.findById(decoded.userId).select("-password");
+  if (!user) {
+    return { status: 404, message: "User not found" };
+  }
+
+  return { user };
+};
+
+export const protectRoute = async (req, res, next) => {
+  try {
+    const { user, status, message } = await authenticateToken(req.cookies.jwt);
 
     if (!user) {
-      return res.status(404).json({ message: "User not found" });
+      return res.status(status).json({ message });
     }
 
     req.user = user;
@@ -28,4 +38,27 @@ export const protectRoute = async (req, res, next) => {
     console.log("Error in protectRoute middleware: ", error.message);
     res.status(500).json({ message: "Internal server error" });
   }
-};
\ No newline at end of file
+};
+
+// A refused Socket.IO connection; the client gets the status as the connect_error's data
+const socketAuthError = (status, message) =>
+  Object.assign(new Error(message), { data: { status } });
+
+// Socket.IO counterpart of protectRoute: the connection is refused unless the handshake carries
+// a valid jwt cookie, and socket.data.user is set to its user
+export const protectSocket = async (socket, next) => {
+  try {
+    const { user, status, message } = await authenticateToken(socket.request.cookies?.jwt);
+
+    if (!user) {
+      return next(socketAuthError(status, message));
+    }
+
+    socket.data.user = user;
+
+    next();
+  } catch (error) {
+    console.log("Error in protectSocket middleware: ", error.message);
+    next(socketAuthError(401, "Unauthorized - Invalid Token"));
+  }
+};
@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+const conversationSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["direct", "group"],
+      required: true,
+    },
+    members: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    admins: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    name: {
+      type: String,
+      trim: true,
+    },
+    avatar: {
+      type: String,
+      default: "",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // "<smallerUserId>:<largerUserId>", so there is one direct conversation per pair
+    directKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    // Messages sent while this is set are deleted this many seconds later; null keeps them
+    disappearAfterSeconds: {
+      type: Number,
+      default: null,
+    },
+    // When each member last read the group, used for unread counts {userId: Date}
+    lastReadAt: {
+      type: Map,
+      of: Date,
+      default: {},
+    },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ members: 1, type: 1 });
+
+// The direct conversation between two users, or null before they first exchange a message
+conversationSchema.statics.findDirect = function (userA, userB) {
+  return this.findOne({ directKey: [userA.toString(), userB.toString()].sort().join(":") });
+};
+
+// Get the direct conversation between two users, creating it on first use
+conversationSchema.statics.findOrCreateDirect = function (userA, userB) {
+  const members = [userA.toString(), userB.toString()].sort();
+  return this.findOneAndUpdate(
+    { directKey: members.join(":") },
+    { $setOnInsert: { type: "direct", members } },
+    { upsert: true, new: true }
+  );
+};
+
+const Conversation = mongoose.model("Conversation", conversationSchema);
+
+export default Conversation;
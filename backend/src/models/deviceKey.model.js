@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// Public key of one of a user's devices, published so that messages can be encrypted for it.
+// The matching private key never leaves the device
+const deviceKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Chosen by the device when it generates its key
+    deviceId: {
+      type: String,
+      required: true,
+    },
+    // RSA-OAEP public key as base64-encoded SPKI
+    publicKey: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+deviceKeySchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+
+const DeviceKey = mongoose.model("DeviceKey", deviceKeySchema);
+
+export default DeviceKey;
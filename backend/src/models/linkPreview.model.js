@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// How long a fetched preview is reused before the page is fetched again
+const LINK_PREVIEW_CACHE_SECONDS = (Number(process.env.LINK_PREVIEW_CACHE_HOURS) || 24) * 60 * 60;
+
+// Cache of link previews by URL, shared by every message linking to the page
+const linkPreviewSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  title: {
+    type: String,
+  },
+  description: {
+    type: String,
+  },
+  image: {
+    type: String,
+  },
+  siteName: {
+    type: String,
+  },
+  // The page could not be fetched or had nothing to show; remembered so it is not retried
+  // for every message
+  empty: {
+    type: Boolean,
+    default: false,
+  },
+  fetchedAt: {
+    type: Date,
+    default: Date.now,
+    expires: LINK_PREVIEW_CACHE_SECONDS,
+  },
+});
+
+const LinkPreview = mongoose.model("LinkPreview", linkPreviewSchema);
+
+export default LinkPreview;
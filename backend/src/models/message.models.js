@@ -1,5 +1,167 @@
 import mongoose from "mongoose";
 
+const messageRevisionSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+    },
+    // When this version of the text was written
+    createdAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const reactionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    emoji: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const voiceNoteSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    // Length in seconds
+    duration: {
+      type: Number,
+      required: true,
+    },
+    // Peak levels between 0 and 1, one per bar of the player's waveform
+    waveform: {
+      type: [Number],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    // Original file name, used for display and as the download name
+    name: {
+      type: String,
+      required: true,
+    },
+    // In bytes
+    size: {
+      type: Number,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      default: "application/octet-stream",
+    },
+  },
+  { _id: false }
+);
+
+// Made by the image pipeline on upload; message.image stays the full-size original
+const imageDetailsSchema = new mongoose.Schema(
+  {
+    width: {
+      type: Number,
+    },
+    height: {
+      type: Number,
+    },
+    // Tiny blurred data URL shown while the image loads
+    placeholder: {
+      type: String,
+    },
+    // URL of the size shown in the chat
+    medium: {
+      type: String,
+    },
+    thumbnail: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+// Preview of the first link in the text, filled in shortly after the message is sent
+const linkPreviewSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+    },
+    description: {
+      type: String,
+    },
+    image: {
+      type: String,
+    },
+    siteName: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+// The one-off key of an encrypted message, encrypted for one device of the sender or receiver
+const wrappedKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    deviceId: {
+      type: String,
+      required: true,
+    },
+    // Base64, RSA-OAEP with the device's published key
+    wrappedKey: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Content of an end-to-end encrypted message, which only the devices in keys can read. The
+// ciphertext holds the text and, for a file, the key its encrypted upload was encrypted with
+const encryptedContentSchema = new mongoose.Schema(
+  {
+    // Base64 AES-GCM initialization vector and ciphertext
+    iv: {
+      type: String,
+      required: true,
+    },
+    ciphertext: {
+      type: String,
+      required: true,
+    },
+    keys: {
+      type: [wrappedKeySchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
 const messageSchema = new mongoose.Schema(
   {
     senderId: {
@@ -7,20 +169,169 @@ const messageSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Set for direct messages only; group messages reach every member of the conversation
     receiverId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+    },
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+    },
+    // Chosen by the sender's app, so that a message it sends again (e.g. when the response was
+    // lost) is only stored once
+    clientId: {
+      type: String,
+    },
+    // Set on thread replies: the message that started the thread. Threads are one level deep,
+    // so a reply to a reply joins the same thread
+    parentMessageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    // Kept up to date on messages that started a thread
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    lastReplyAt: {
+      type: Date,
+      default: null,
+    },
+    // Set on messages sent while the conversation had disappearing messages turned on; the
+    // message and its files are deleted then (see lib/messageExpiry.js)
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Set on notices the app writes into the chat, such as the disappearing timer changing
+    systemEvent: {
+      kind: { type: String, enum: ["disappearingTimerChanged"] },
+      disappearAfterSeconds: { type: Number },
+    },
+    // Set while the message is pinned in its chat, with the participant who pinned it
+    pinnedAt: {
+      type: Date,
+      default: null,
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
     },
     text: {
       type: String,
     },
+    // Set on end-to-end encrypted direct messages, which have no text of their own; a file sent
+    // with one is stored encrypted as a plain attachment
+    encrypted: {
+      type: encryptedContentSchema,
+      default: undefined,
+    },
     image: {
       type: String,
     },
+    imageDetails: {
+      type: imageDetailsSchema,
+      default: undefined,
+    },
+    audio: {
+      type: voiceNoteSchema,
+      default: undefined,
+    },
+    attachment: {
+      type: attachmentSchema,
+      default: undefined,
+    },
+    linkPreview: {
+      type: linkPreviewSchema,
+      default: undefined,
+    },
+    // Set when the sender removed the preview, so none is added again (e.g. after an edit)
+    linkPreviewRemoved: {
+      type: Boolean,
+      default: false,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Earlier versions of the text, oldest first
+    editHistory: {
+      type: [messageRevisionSchema],
+      default: [],
+    },
+    // Set when the sender deleted the message for everyone; the content is cleared
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    // One entry per user per emoji
+    reactions: {
+      type: [reactionSchema],
+      default: [],
+    },
+    // Users who deleted the message for themselves only
+    deletedFor: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
   },
-  { timestamps: true }
+  { timestamps: true, id: false, toJSON: { virtuals: true } }
+);
+
+// The message a reply belongs to, populated for the quote shown above replies in the timeline
+messageSchema.virtual("parentMessage", {
+  ref: "Message",
+  localField: "parentMessageId",
+  foreignField: "_id",
+  justOne: true,
+});
+
+// Supports paginated history lookups for a conversation, newest first; the ID breaks ties between
+// messages sent in the same millisecond
+messageSchema.index({ senderId: 1, receiverId: 1, createdAt: -1, _id: -1 });
+// Supports paginated history lookups for a group conversation
+messageSchema.index({ conversationId: 1, createdAt: -1, _id: -1 });
+// Supports the conversation list, which also looks messages up by receiver alone
+messageSchema.index({ receiverId: 1, createdAt: -1 });
+// Makes a message sent again with the same client ID a duplicate
+messageSchema.index(
+  { senderId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: "string" } } }
 );
+// Supports the sweep for expired disappearing messages
+messageSchema.index(
+  { expiresAt: 1 },
+  { partialFilterExpression: { expiresAt: { $type: "date" } } }
+);
+// Supports listing a chat's pinned messages
+messageSchema.index({ conversationId: 1, pinnedAt: -1 });
+// Supports loading a thread's replies in order
+messageSchema.index({ parentMessageId: 1, createdAt: 1 });
+// Supports full-text message search
+messageSchema.index({ text: "text" });
+
+// Every stored file the message shows
+messageSchema.methods.getFileUrls = function () {
+  return [
+    this.image,
+    this.imageDetails?.medium,
+    this.imageDetails?.thumbnail,
+    this.audio?.url,
+    this.attachment?.url,
+  ].filter(Boolean);
+};
 
 const Message = mongoose.model("Message", messageSchema);
 
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// A message written now and sent later by the scheduled message runner (lib/scheduledMessages.js)
+const scheduledMessageSchema = new mongoose.Schema(
+  {
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Where it will be sent, as in the messages API: the other user of a direct chat or a group
+    chatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    text: {
+      type: String,
+    },
+    // Claimed when the message is sent; until then the upload sweeper leaves it alone
+    uploadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Upload",
+    },
+    linkPreviewRemoved: {
+      type: Boolean,
+      default: false,
+    },
+    parentMessageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+    },
+    sendAt: {
+      type: Date,
+      required: true,
+    },
+    // "sending" while the runner delivers it; sent messages are removed
+    status: {
+      type: String,
+      enum: ["pending", "sending", "failed"],
+      default: "pending",
+    },
+    // When the runner took the message, so one left behind by a crash is picked up again
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Why the last attempt failed, shown to the sender
+    error: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// Supports the runner's lookup of due messages
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+// Supports listing a user's scheduled messages
+scheduledMessageSchema.index({ senderId: 1, sendAt: 1 });
+
+const ScheduledMessage = mongoose.model("ScheduledMessage", scheduledMessageSchema);
+
+export default ScheduledMessage;
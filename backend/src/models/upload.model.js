@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+const uploadSchema = new mongoose.Schema(
+  {
+    uploaderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Decides where the upload may be used and which size limit applied to it
+    kind: {
+      type: String,
+      enum: ["image", "audio", "file"],
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+    },
+    // In bytes
+    size: {
+      type: Number,
+    },
+    mimeType: {
+      type: String,
+    },
+    // Length in seconds, for audio when the storage backend reports it
+    duration: {
+      type: Number,
+    },
+    // Images only (see lib/imagePipeline.js): size of the original, a blurred data URL preview
+    // and the URLs of the smaller sizes
+    width: {
+      type: Number,
+    },
+    height: {
+      type: Number,
+    },
+    placeholder: {
+      type: String,
+    },
+    variants: {
+      medium: { type: String },
+      thumbnail: { type: String },
+    },
+    // Set once a message, profile or group uses the upload; unclaimed uploads are cleaned up
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+uploadSchema.index({ claimedAt: 1, createdAt: 1 });
+
+// Mark the user's upload as used so it cannot be attached anywhere else; resolves to the
+// upload, or null when it does not exist, belongs to someone else, has the wrong kind or
+// is already in use
+uploadSchema.statics.claim = function (uploadId, uploaderId, kind) {
+  if (!mongoose.isValidObjectId(uploadId)) return Promise.resolve(null);
+
+  return this.findOneAndUpdate(
+    { _id: uploadId, uploaderId, claimedAt: null, ...(kind && { kind }) },
+    { claimedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Every stored file belonging to the upload
+uploadSchema.methods.getFileUrls = function () {
+  return [this.url, this.variants?.medium, this.variants?.thumbnail].filter(Boolean);
+};
+
+const Upload = mongoose.model("Upload", uploadSchema);
+
+export default Upload;
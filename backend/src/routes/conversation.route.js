@@ -0,0 +1,22 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import {
+  addMembers,
+  createGroup,
+  getGroups,
+  leaveGroup,
+  removeMember,
+  updateGroup,
+} from "../controllers/conversation.controller.js";
+
+const router = express.Router();
+
+router.get("/", protectRoute, getGroups);
+router.post("/", protectRoute, createGroup);
+router.patch("/:id", protectRoute, updateGroup);
+
+router.post("/:id/members", protectRoute, addMembers);
+router.delete("/:id/members/:userId", protectRoute, removeMember);
+router.post("/:id/leave", protectRoute, leaveGroup);
+
+export default router;
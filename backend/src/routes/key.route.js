@@ -0,0 +1,15 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import {
+  getDeviceKeys,
+  publishDeviceKey,
+  removeDeviceKey,
+} from "../controllers/key.controller.js";
+
+const router = express.Router();
+
+router.get("/:userId", protectRoute, getDeviceKeys);
+router.put("/devices/:deviceId", protectRoute, publishDeviceKey);
+router.delete("/devices/:deviceId", protectRoute, removeDeviceKey);
+
+export default router;
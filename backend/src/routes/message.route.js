@@ -1,12 +1,51 @@
 import express from "express";
 import { protectRoute } from "../middleware/auth.middleware.js";
-import { getMessages, getUsersForSidebar, sendMessage } from "../controllers/message.controllers.js";
+import {
+  addReaction,
+  deleteMessage,
+  editMessage,
+  getConversations,
+  getDisappearingTimer,
+  getMessages,
+  getPinnedMessages,
+  getThread,
+  getUsersForSidebar,
+  markMessagesAsRead,
+  pinMessage,
+  previewLink,
+  removeLinkPreview,
+  removeReaction,
+  searchMessages,
+  sendMessage,
+  setDisappearingTimer,
+  syncMessages,
+  unpinMessage,
+} from "../controllers/message.controllers.js";
 
 const router = express.Router();
 
 router.get("/users", protectRoute, getUsersForSidebar);
+router.get("/conversations", protectRoute, getConversations);
+router.get("/search", protectRoute, searchMessages);
+router.get("/sync", protectRoute, syncMessages);
+router.get("/link-preview", protectRoute, previewLink);
+router.get("/thread/:messageId", protectRoute, getThread);
+router.get("/pins/:id", protectRoute, getPinnedMessages);
+router.get("/disappearing/:id", protectRoute, getDisappearingTimer);
+router.put("/disappearing/:id", protectRoute, setDisappearingTimer);
 router.get("/:id", protectRoute, getMessages);
 
 router.post("/send/:id", protectRoute, sendMessage);
+router.put("/read/:id", protectRoute, markMessagesAsRead);
+router.patch("/:messageId", protectRoute, editMessage);
+router.delete("/:messageId", protectRoute, deleteMessage);
+
+router.post("/:messageId/reactions", protectRoute, addReaction);
+router.delete("/:messageId/reactions/:emoji", protectRoute, removeReaction);
+
+router.delete("/:messageId/link-preview", protectRoute, removeLinkPreview);
+
+router.post("/:messageId/pin", protectRoute, pinMessage);
+router.delete("/:messageId/pin", protectRoute, unpinMessage);
 
 export default router;
\ No newline at end of file
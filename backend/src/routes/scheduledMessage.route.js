@@ -0,0 +1,19 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import {
+  cancelScheduledMessage,
+  createScheduledMessage,
+  getScheduledMessages,
+  sendScheduledMessageNow,
+  updateScheduledMessage,
+} from "../controllers/scheduledMessage.controller.js";
+
+const router = express.Router();
+
+router.get("/", protectRoute, getScheduledMessages);
+router.post("/", protectRoute, createScheduledMessage);
+router.patch("/:id", protectRoute, updateScheduledMessage);
+router.post("/:id/send", protectRoute, sendScheduledMessageNow);
+router.delete("/:id", protectRoute, cancelScheduledMessage);
+
+export default router;
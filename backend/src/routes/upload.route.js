@@ -0,0 +1,9 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import { createUpload } from "../controllers/upload.controller.js";
+
+const router = express.Router();
+
+router.post("/", protectRoute, createUpload);
+
+export default router;
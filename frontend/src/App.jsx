@@ -9,6 +9,8 @@ import ProfilePage from "./pages/ProfilePage";
 import { Routes, Route, Navigate } from "react-router-dom";
 import { useAuthStore } from "./store/useAuthStore";
 import { useThemeStore } from "./store/useThemeStore";
+import { useEncryptionStore } from "./store/useEncryptionStore";
+import { useChatStore } from "./store/useChatStore";
 import { useEffect } from "react";
 
 import { Loader } from "lucide-react";
@@ -17,6 +19,8 @@ import { Toaster } from "react-hot-toast";
 const App = () => {
   const { authUser, checkAuth, isCheckingAuth, onlineUsers } = useAuthStore();
   const { theme } = useThemeStore();
+  const { loadDeviceKey } = useEncryptionStore();
+  const { loadOutbox } = useChatStore();
 
   console.log({ onlineUsers });
 
@@ -26,6 +30,13 @@ const App = () => {
 
   console.log({ authUser });
 
+  // Each account has its own encryption key and outbox on this device
+  const authUserId = authUser?._id;
+  useEffect(() => {
+    loadDeviceKey();
+    loadOutbox();
+  }, [authUserId, loadDeviceKey, loadOutbox]);
+
   if (isCheckingAuth && !authUser)
     return (
       <div className="flex items-center justify-center h-screen">
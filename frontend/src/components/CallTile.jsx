@@ -0,0 +1,54 @@
+import { useEffect, useRef } from "react";
+import { CameraOff, MicOff, RefreshCw } from "lucide-react";
+
+// One participant's video in the call grid, with their mute and camera state
+const CallTile = ({ stream, name, avatar, audioEnabled, videoEnabled, isLocal, connectionState }) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream || null;
+    }
+  }, [stream]);
+
+  const isConnecting = !isLocal && (!stream || ["new", "connecting"].includes(connectionState));
+  const isReconnecting = !isLocal && ["disconnected", "failed"].includes(connectionState);
+
+  return (
+    <div className="relative aspect-video rounded-lg overflow-hidden bg-gray-800">
+      {/* Kept mounted with the camera off so the participant's audio keeps playing */}
+      <video
+        ref={videoRef}
+        autoPlay
+        playsInline
+        muted={isLocal} // Mute local video to prevent echo
+        className={`w-full h-full object-cover bg-black ${videoEnabled ? "" : "hidden"}`}
+      />
+
+      {!videoEnabled && (
+        <div className="absolute inset-0 flex items-center justify-center">
+          <img
+            src={avatar || "/avatar.png"}
+            alt={name}
+            className="size-20 rounded-full object-cover"
+          />
+        </div>
+      )}
+
+      {(isConnecting || isReconnecting) && (
+        <div className="absolute inset-0 flex items-center justify-center gap-2 bg-black bg-opacity-50 text-white text-sm">
+          <RefreshCw size={14} className="animate-spin" />
+          {isReconnecting ? "Reconnecting..." : "Connecting..."}
+        </div>
+      )}
+
+      <div className="absolute bottom-2 left-2 bg-black bg-opacity-50 px-2 py-1 rounded text-white text-sm flex items-center gap-1">
+        <span className="truncate max-w-[10rem]">{name}</span>
+        {!audioEnabled && <MicOff size={14} className="text-red-400" />}
+        {!videoEnabled && <CameraOff size={14} className="text-red-400" />}
+      </div>
+    </div>
+  );
+};
+
+export default CallTile;
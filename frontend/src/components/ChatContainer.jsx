@@ -1,42 +1,264 @@
 import { useChatStore } from "../store/useChatStore";
-import { useEffect, useRef } from "react";
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { Loader } from "lucide-react";
+import toast from "react-hot-toast";
 
 import ChatHeader from "./ChatHeader";
+import GroupChatHeader from "./GroupChatHeader";
 import MessageInput from "./MessageInput";
 import MessageSkeleton from "./skeletons/MessageSkeleton";
+import ChatMessage from "./ChatMessage";
+import ImageLightbox from "./ImageLightbox";
+import ThreadPanel from "./ThreadPanel";
+import PendingMessage from "./PendingMessage";
 import { useAuthStore } from "../store/useAuthStore";
-import { formatMessageTime } from "../lib/utils";
+import { useEncryptionStore, withDecryptedContent } from "../store/useEncryptionStore";
+import { describeSystemEvent } from "../lib/utils";
+
+// Distance from the top (in px) at which the next page of history is requested
+const LOAD_OLDER_THRESHOLD = 80;
 
 const ChatContainer = () => {
   const {
     messages,
     getMessages,
+    getPinnedMessages,
+    getDisappearingTimer,
+    removeMessages,
+    loadOlderMessages,
     isMessagesLoading,
+    isOlderMessagesLoading,
+    hasMoreMessages,
     selectedUser,
+    selectedGroup,
+    users,
     subscribeToMessages,
     unsubscribeFromMessages,
+    jumpTargetId,
+    clearJumpTarget,
+    highlightedMessageId,
+    highlightMessage,
+    activeThread,
+    isThreadLoading,
+    pinnedMessages,
+    outbox,
   } = useChatStore();
   const { authUser } = useAuthStore();
+  const { deviceKey, decryptedMessages, decryptMessages, getDeviceKeys } = useEncryptionStore();
+  const scrollContainerRef = useRef(null);
   const messageEndRef = useRef(null);
+  const lastMessageIdRef = useRef(null);
+  const scrollSnapshotRef = useRef(null);
+  const autoLoadedFromIdRef = useRef(null);
+  const [lightboxImage, setLightboxImage] = useState(null);
+
+  const chatId = selectedGroup?._id || selectedUser._id;
+
+  // Our messages still in the outbox follow the ones the server has
+  const pendingMessages = outbox
+    .filter((entry) => entry.chatId === chatId)
+    .map((entry) => entry.message);
 
   useEffect(() => {
-    getMessages(selectedUser._id);
+    getMessages(chatId);
+    getPinnedMessages(chatId);
+    getDisappearingTimer(chatId);
 
     subscribeToMessages();
 
     return () => unsubscribeFromMessages();
-  }, [selectedUser._id, getMessages, subscribeToMessages, unsubscribeFromMessages]);
+  }, [
+    chatId,
+    getMessages,
+    getPinnedMessages,
+    getDisappearingTimer,
+    subscribeToMessages,
+    unsubscribeFromMessages,
+  ]);
 
+  // Whether the chat is encrypted, and whether the other user's keys changed, depends on the keys
+  // they published
+  const partnerId = selectedUser?._id;
   useEffect(() => {
-    if (messageEndRef.current && messages) {
+    if (partnerId && deviceKey) getDeviceKeys(partnerId);
+  }, [partnerId, deviceKey, getDeviceKeys]);
+
+  // Encrypted messages are decrypted here, on the device, as they are loaded or arrive
+  useEffect(() => {
+    const shownMessages = [
+      ...messages,
+      ...pinnedMessages,
+      ...(activeThread ? [activeThread.root, ...activeThread.replies] : []),
+    ];
+    decryptMessages([
+      ...shownMessages,
+      ...shownMessages.map((message) => message.parentMessage).filter(Boolean),
+    ]);
+  }, [messages, pinnedMessages, activeThread, deviceKey, decryptMessages]);
+
+  // Drop disappearing messages as soon as their time is up; the server deletes them on its next
+  // sweep and then tells every client as well
+  useEffect(() => {
+    const expiryTimes = messages
+      .filter((message) => message.expiresAt)
+      .map((message) => new Date(message.expiresAt).getTime());
+    if (expiryTimes.length === 0) return;
+
+    const timeout = setTimeout(() => {
+      const now = Date.now();
+      removeMessages(
+        messages
+          .filter((message) => message.expiresAt && new Date(message.expiresAt).getTime() <= now)
+          .map((message) => message._id)
+      );
+    }, Math.max(Math.min(...expiryTimes) - Date.now(), 0));
+
+    return () => clearTimeout(timeout);
+  }, [messages, removeMessages]);
+
+  // Group members who since left are still found in the full user list
+  const getSender = (senderId) =>
+    selectedGroup?.members.find((member) => member._id === senderId) ||
+    users.find((user) => user._id === senderId);
+
+  const renderMessage = (storedMessage, { inThread = false } = {}) => {
+    if (storedMessage.sendStatus) {
+      return (
+        <PendingMessage
+          key={storedMessage._id}
+          message={storedMessage}
+          avatar={authUser.profilePic}
+        />
+      );
+    }
+
+    const message = withDecryptedContent(storedMessage, { deviceKey, decryptedMessages });
+    const isOwnMessage = message.senderId === authUser._id;
+    const sender = isOwnMessage ? authUser : selectedUser || getSender(message.senderId);
+
+    // Notices such as the disappearing timer changing are centred lines, not bubbles
+    if (message.systemEvent?.kind) {
+      return (
+        <div
+          key={message._id}
+          data-message-id={message._id}
+          className="text-center text-xs text-base-content/60"
+        >
+          {isOwnMessage ? "You" : sender?.fullName || "Someone"}{" "}
+          {describeSystemEvent(message.systemEvent)}
+        </div>
+      );
+    }
+
+    const quotedSenderId = message.parentMessage?.senderId;
+    return (
+      <ChatMessage
+        key={message._id}
+        message={message}
+        isOwnMessage={isOwnMessage}
+        isHighlighted={!inThread && message._id === highlightedMessageId}
+        avatar={sender?.profilePic}
+        senderName={selectedGroup && !isOwnMessage ? sender?.fullName || "Unknown" : null}
+        showStatus={isOwnMessage && !selectedGroup}
+        onOpenImage={setLightboxImage}
+        quoteSenderName={
+          quotedSenderId === authUser._id ? "You" : getSender(quotedSenderId)?.fullName
+        }
+        inThread={inThread}
+      />
+    );
+  };
+
+  const lastMessageId = (
+    pendingMessages[pendingMessages.length - 1] || messages[messages.length - 1]
+  )?._id;
+  // A page that was loading for the previous conversation has nothing to restore here
+  useLayoutEffect(() => {
+    scrollSnapshotRef.current = null;
+  }, [chatId]);
+
+  useLayoutEffect(() => {
+    const container = scrollContainerRef.current;
+    if (!container) return;
+
+    // Older history was prepended: once it is in (and the spinner gone), keep the previously
+    // visible messages in place
+    if (scrollSnapshotRef.current) {
+      if (isOlderMessagesLoading) return;
+      const { scrollHeight, scrollTop } = scrollSnapshotRef.current;
+      container.scrollTop = container.scrollHeight - scrollHeight + scrollTop;
+      scrollSnapshotRef.current = null;
+    } else if (
+      !jumpTargetId &&
+      messageEndRef.current &&
+      lastMessageId !== lastMessageIdRef.current
+    ) {
+      // Only follow the conversation when a new message arrives at the bottom
       messageEndRef.current.scrollIntoView({ behavior: "smooth" });
     }
-  }, [messages]);
+
+    lastMessageIdRef.current = lastMessageId;
+  }, [messages, lastMessageId, isMessagesLoading, isOlderMessagesLoading, jumpTargetId]);
+
+  // History too short to scroll can't be scrolled up to load more: keep loading until it fills
+  // the view. Once per oldest message, so that a failed page isn't retried over and over
+  useEffect(() => {
+    const container = scrollContainerRef.current;
+    if (!container || isMessagesLoading || isOlderMessagesLoading || !hasMoreMessages) return;
+    if (container.scrollHeight > container.clientHeight) return;
+
+    const oldestMessageId = messages[0]?._id;
+    if (!oldestMessageId || autoLoadedFromIdRef.current === oldestMessageId) return;
+    autoLoadedFromIdRef.current = oldestMessageId;
+    loadOlderMessages();
+  }, [messages, isMessagesLoading, isOlderMessagesLoading, hasMoreMessages, loadOlderMessages]);
+
+  // Page back through history until the jump target is loaded, then scroll to it
+  useEffect(() => {
+    if (!jumpTargetId || isMessagesLoading || isOlderMessagesLoading) return;
+
+    if (messages.some((message) => message._id === jumpTargetId)) {
+      scrollContainerRef.current
+        ?.querySelector(`[data-message-id="${jumpTargetId}"]`)
+        ?.scrollIntoView({ block: "center" });
+      highlightMessage(jumpTargetId);
+      clearJumpTarget();
+    } else if (hasMoreMessages) {
+      loadOlderMessages();
+    } else {
+      toast.error("Message not found");
+      clearJumpTarget();
+    }
+  }, [
+    jumpTargetId,
+    messages,
+    isMessagesLoading,
+    isOlderMessagesLoading,
+    hasMoreMessages,
+    loadOlderMessages,
+    highlightMessage,
+    clearJumpTarget,
+  ]);
+
+  const handleScroll = () => {
+    const container = scrollContainerRef.current;
+    if (!container || !hasMoreMessages || isOlderMessagesLoading) return;
+
+    if (container.scrollTop <= LOAD_OLDER_THRESHOLD) {
+      scrollSnapshotRef.current = {
+        scrollHeight: container.scrollHeight,
+        scrollTop: container.scrollTop,
+      };
+      loadOlderMessages();
+      // Nothing was requested after all, so nothing will be prepended
+      if (!useChatStore.getState().isOlderMessagesLoading) scrollSnapshotRef.current = null;
+    }
+  };
 
   if (isMessagesLoading) {
     return (
       <div className="flex-1 flex flex-col overflow-auto">
-        <ChatHeader />
+        {selectedGroup ? <GroupChatHeader /> : <ChatHeader />}
         <MessageSkeleton />
         <MessageInput />
       </div>
@@ -44,49 +266,35 @@ const ChatContainer = () => {
   }
 
   return (
-    <div className="flex-1 flex flex-col overflow-auto">
-      <ChatHeader />
-
-      <div className="flex-1 overflow-y-auto p-4 space-y-4">
-        {messages.map((message) => (
-          <div
-            key={message._id}
-            className={`chat ${message.senderId === authUser._id ? "chat-end" : "chat-start"}`}
-            ref={messageEndRef}
-          >
-            <div className=" chat-image avatar">
-              <div className="size-10 rounded-full border">
-                <img
-                  src={
-                    message.senderId === authUser._id
-                      ? authUser.profilePic || "/avatar.png"
-                      : selectedUser.profilePic || "/avatar.png"
-                  }
-                  alt="profile pic"
-                />
-              </div>
-            </div>
-            <div className="chat-header mb-1">
-              <time className="text-xs opacity-50 ml-1">
-                {formatMessageTime(message.createdAt)}
-              </time>
-            </div>
-            <div className="chat-bubble flex flex-col">
-              {message.image && (
-                <img
-                  src={message.image}
-                  alt="Attachment"
-                  className="sm:max-w-[200px] rounded-md mb-2"
-                />
-              )}
-              {message.text && <p>{message.text}</p>}
+    <div className="flex-1 min-w-0 flex">
+      <div className="flex-1 min-w-0 flex flex-col overflow-auto">
+        {selectedGroup ? <GroupChatHeader /> : <ChatHeader />}
+
+        <div
+          ref={scrollContainerRef}
+          onScroll={handleScroll}
+          className="flex-1 overflow-y-auto p-4 space-y-4"
+        >
+          {isOlderMessagesLoading && (
+            <div className="flex justify-center py-2">
+              <Loader className="size-5 animate-spin" />
             </div>
-          </div>
-        ))}
+          )}
+
+          {messages.map((message) => renderMessage(message))}
+          {pendingMessages.map((message) => renderMessage(message))}
+          <div ref={messageEndRef} />
+        </div>
+
+        <MessageInput />
+
+        {lightboxImage && (
+          <ImageLightbox src={lightboxImage} onClose={() => setLightboxImage(null)} />
+        )}
       </div>
 
-      <MessageInput />
+      {(activeThread || isThreadLoading) && <ThreadPanel renderMessage={renderMessage} />}
     </div>
   );
 };
-export default ChatContainer;
\ No newline at end of file
+export default ChatContainer;
@@ -1,13 +1,28 @@
-import { X, Video, VideoOff } from "lucide-react";
+import { X, Video, VideoOff, Lock, ShieldAlert } from "lucide-react";
 import { useAuthStore } from "../store/useAuthStore";
 import { useChatStore } from "../store/useChatStore";
+import { useCallStore } from "../store/useCallStore";
+import { useEncryptionStore } from "../store/useEncryptionStore";
 import { useState } from "react";
+import JoinCallButton from "./JoinCallButton";
+import PinnedBar from "./PinnedBar";
+import DisappearingTimerMenu from "./DisappearingTimerMenu";
+import SafetyNumberModal from "./SafetyNumberModal";
 
 const ChatHeader = () => {
   const { selectedUser, setSelectedUser } = useChatStore();
-  const { onlineUsers, callUser } = useAuthStore();
+  const { authUser, onlineUsers, typingUsers } = useAuthStore();
+  const { startCall, getCallForChat } = useCallStore();
   const [isCheckingPermissions, setIsCheckingPermissions] = useState(false);
   const [permissionError, setPermissionError] = useState(null);
+  const { isEncryptedChat, changedKeyUserIds, acceptKeyChange } = useEncryptionStore();
+  const [showSafetyNumber, setShowSafetyNumber] = useState(false);
+
+  // Messages here are encrypted for our own devices too, so a device added to our account
+  // without us knowing matters as much as one of theirs
+  const hasTheirKeyChanged = changedKeyUserIds.includes(selectedUser._id);
+  const hasMyKeyChanged =
+    isEncryptedChat(selectedUser._id) && changedKeyUserIds.includes(authUser._id);
 
   // Check media permissions before making a call
   const checkMediaPermissions = async () => {
@@ -66,43 +81,11 @@ const ChatHeader = () => {
     const hasPermissions = await checkMediaPermissions();
     if (!hasPermissions) return;
 
-    try {
-      // Create a new RTCPeerConnection for the caller
-      const pc = new RTCPeerConnection({
-        iceServers: [
-          { urls: "stun:stun.l.google.com:19302" },
-          { urls: "stun:stun1.l.google.com:19302" },
-        ],
-      });
-
-      // Get user media (this stream will be used to create the offer,
-      // but the actual video stream for display will be handled in VideoCall component)
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: true,
-        audio: true,
-      });
-
-      // Add local tracks to the peer connection
-      stream.getTracks().forEach((track) => {
-        pc.addTrack(track, stream);
-      });
-
-      // Create an offer (SDP)
-      const offer = await pc.createOffer();
-      await pc.setLocalDescription(offer);
-
-      // Send the call request with the offer to the selected user
-      callUser(selectedUser._id, offer, selectedUser.fullName);
-
-      // Clean up the temporary stream used for offer creation
-      stream.getTracks().forEach(track => track.stop());
-      
-    } catch (error) {
-      console.error("Error starting call:", error);
-      setPermissionError("Failed to start video call. Please try again.");
-    }
+    startCall(selectedUser);
   };
 
+  const ongoingCall = getCallForChat(selectedUser);
+
   return (
     <div className="p-2.5 border-b border-base-300">
       <div className="flex items-center justify-between">
@@ -120,33 +103,56 @@ const ChatHeader = () => {
           <div>
             <h3 className="font-medium">{selectedUser.fullName}</h3>
             <p className="text-sm text-base-content/70">
-              {onlineUsers.includes(selectedUser._id) ? "Online" : "Offline"}
+              {typingUsers.includes(selectedUser._id) ? (
+                <span className="text-primary">typing…</span>
+              ) : onlineUsers.includes(selectedUser._id) ? (
+                "Online"
+              ) : (
+                "Offline"
+              )}
             </p>
           </div>
 
-          {/* Video call button */}
-          <button
-            onClick={handleCallUser}
-            disabled={isCheckingPermissions || !onlineUsers.includes(selectedUser._id)}
-            className={`ml-4 p-2 rounded-full transition-colors ${
-              onlineUsers.includes(selectedUser._id)
-                ? "hover:bg-green-100 text-green-600"
-                : "text-gray-400 cursor-not-allowed"
-            }`}
-            title={
-              onlineUsers.includes(selectedUser._id)
-                ? "Start Video Call"
-                : "User is offline"
-            }
-          >
-            {isCheckingPermissions ? (
-              <div className="animate-spin rounded-full h-5 w-5 border-2 border-green-600 border-t-transparent"></div>
-            ) : onlineUsers.includes(selectedUser._id) ? (
-              <Video size={20} />
-            ) : (
-              <VideoOff size={20} />
-            )}
-          </button>
+          {/* Video call button, or joining the call already in progress */}
+          {ongoingCall ? (
+            <JoinCallButton call={ongoingCall} />
+          ) : (
+            <button
+              onClick={handleCallUser}
+              disabled={isCheckingPermissions || !onlineUsers.includes(selectedUser._id)}
+              className={`ml-4 p-2 rounded-full transition-colors ${
+                onlineUsers.includes(selectedUser._id)
+                  ? "hover:bg-green-100 text-green-600"
+                  : "text-gray-400 cursor-not-allowed"
+              }`}
+              title={
+                onlineUsers.includes(selectedUser._id)
+                  ? "Start Video Call"
+                  : "User is offline"
+              }
+            >
+              {isCheckingPermissions ? (
+                <div className="animate-spin rounded-full h-5 w-5 border-2 border-green-600 border-t-transparent"></div>
+              ) : onlineUsers.includes(selectedUser._id) ? (
+                <Video size={20} />
+              ) : (
+                <VideoOff size={20} />
+              )}
+            </button>
+          )}
+
+          <DisappearingTimerMenu />
+
+          {isEncryptedChat(selectedUser._id) && (
+            <button
+              type="button"
+              onClick={() => setShowSafetyNumber(true)}
+              className="p-2 rounded-full hover:bg-base-300 transition-colors text-primary"
+              title="End-to-end encrypted. Show the safety number"
+            >
+              <Lock size={20} />
+            </button>
+          )}
         </div>
 
         {/* Close button */}
@@ -158,6 +164,42 @@ const ChatHeader = () => {
         </button>
       </div>
 
+      <PinnedBar />
+
+      {(hasTheirKeyChanged || hasMyKeyChanged) && (
+        <div className="mt-2 flex items-center gap-2 rounded-lg bg-warning/20 px-3 py-2 text-sm">
+          <ShieldAlert className="size-4 shrink-0 text-warning" />
+          {hasTheirKeyChanged ? (
+            <span className="flex-1">
+              {selectedUser.fullName}&apos;s safety number changed. They may have set up a new
+              device, or someone may be trying to read your messages.
+            </span>
+          ) : (
+            <span className="flex-1">
+              The devices of your account changed. If you didn&apos;t set up a new one, someone
+              may be trying to read your messages.
+            </span>
+          )}
+          <button
+            type="button"
+            className="btn btn-xs btn-warning"
+            onClick={() => setShowSafetyNumber(true)}
+          >
+            Compare
+          </button>
+          <button
+            type="button"
+            className="btn btn-xs btn-ghost"
+            onClick={() => {
+              acceptKeyChange(selectedUser._id);
+              if (hasMyKeyChanged) acceptKeyChange(authUser._id);
+            }}
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
       {/* Error message display */}
       {permissionError && (
         <div className="mt-2 p-2 bg-red-50 border border-red-200 rounded text-red-700 text-sm">
@@ -172,6 +214,10 @@ const ChatHeader = () => {
           </div>
         </div>
       )}
+
+      {showSafetyNumber && (
+        <SafetyNumberModal user={selectedUser} onClose={() => setShowSafetyNumber(false)} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,337 @@
+import { useRef, useState } from "react";
+import {
+  Ban,
+  Check,
+  Lock,
+  MessageSquareReply,
+  Pencil,
+  Pin,
+  PinOff,
+  SmilePlus,
+  Trash2,
+  X,
+} from "lucide-react";
+
+import { useChatStore } from "../store/useChatStore";
+import { formatMessageTime, getMessagePreview } from "../lib/utils";
+import MessageStatus from "./MessageStatus";
+import MessageReactions, { ReactionPicker } from "./MessageReactions";
+import VoiceNotePlayer from "./VoiceNotePlayer";
+import FileCard from "./FileCard";
+import MessageImage from "./MessageImage";
+import MessageMarkdown from "./MessageMarkdown";
+import LinkPreviewCard from "./LinkPreviewCard";
+
+// Touch-and-hold duration that opens the reaction picker on touch screens
+const LONG_PRESS_MS = 500;
+
+// Quote of the message a reply belongs to; opens the thread
+const ReplyQuote = ({ message, senderName, onOpen }) => (
+  <button
+    type="button"
+    onClick={onOpen}
+    className="mb-1 w-full text-left rounded border-l-2 border-primary bg-base-content/10 px-2 py-1
+    text-xs"
+    title="Open thread"
+  >
+    <span className="block font-medium">{senderName}</span>
+    <span className="line-clamp-2 opacity-80">{getMessagePreview(message)}</span>
+  </button>
+);
+
+// inThread: shown in the thread panel, where the thread controls and reply quote are left out
+const ChatMessage = ({
+  message,
+  isOwnMessage,
+  isHighlighted,
+  avatar,
+  senderName,
+  showStatus,
+  onOpenImage,
+  quoteSenderName,
+  inThread,
+}) => {
+  const { editMessage, deleteMessage, removeLinkPreview, openThread, togglePin } = useChatStore();
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showReactionPicker, setShowReactionPicker] = useState(false);
+  const longPressTimeoutRef = useRef(null);
+
+  const handleTouchStart = () => {
+    longPressTimeoutRef.current = setTimeout(() => setShowReactionPicker(true), LONG_PRESS_MS);
+  };
+
+  const cancelLongPress = () => clearTimeout(longPressTimeoutRef.current);
+
+  const startEditing = () => {
+    setDraft(message.text || "");
+    setIsEditing(true);
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    if (!draft.trim() && !message.image && !message.audio && !message.attachment) return;
+
+    setIsSaving(true);
+    const saved = await editMessage(message._id, draft.trim());
+    setIsSaving(false);
+    if (saved) setIsEditing(false);
+  };
+
+  // Like the composer: Enter saves, Shift+Enter adds a line, Escape cancels
+  const handleEditKeyDown = (e) => {
+    if (e.key === "Escape") {
+      setIsEditing(false);
+    } else if (e.key === "Enter" && !e.shiftKey && !e.nativeEvent.isComposing) {
+      handleSaveEdit(e);
+    }
+  };
+
+  const handleDelete = (scope) => {
+    // Blur the trigger so the dropdown closes
+    document.activeElement?.blur();
+    deleteMessage(message._id, scope);
+  };
+
+  const threadLink = !inThread && message.replyCount > 0 && (
+    <div className="chat-footer mt-1">
+      <button
+        type="button"
+        onClick={() => openThread(message._id)}
+        className="text-xs text-primary hover:underline"
+      >
+        {message.replyCount} {message.replyCount === 1 ? "reply" : "replies"}
+        <span className="opacity-60 ml-1">
+          · last reply {formatMessageTime(message.lastReplyAt)}
+        </span>
+      </button>
+    </div>
+  );
+
+  if (message.deletedAt) {
+    return (
+      <div
+        data-message-id={message._id}
+        className={`chat ${isOwnMessage ? "chat-end" : "chat-start"}`}
+      >
+        <div className=" chat-image avatar">
+          <div className="size-10 rounded-full border">
+            <img src={avatar || "/avatar.png"} alt="profile pic" />
+          </div>
+        </div>
+        <div className="chat-header mb-1">
+          {senderName && <span className="text-xs font-medium mr-1">{senderName}</span>}
+          <time className="text-xs opacity-50 ml-1">{formatMessageTime(message.createdAt)}</time>
+        </div>
+        <div className="chat-bubble flex items-center gap-2 italic opacity-60">
+          <Ban className="size-4" />
+          <p>This message was deleted</p>
+        </div>
+        {threadLink}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      data-message-id={message._id}
+      className={`chat group rounded-lg transition-colors ${
+        isOwnMessage ? "chat-end" : "chat-start"
+      } ${isHighlighted ? "bg-primary/10" : ""}`}
+    >
+      <div className=" chat-image avatar">
+        <div className="size-10 rounded-full border">
+          <img src={avatar || "/avatar.png"} alt="profile pic" />
+        </div>
+      </div>
+      <div className="chat-header mb-1 flex items-center gap-1">
+        {senderName && <span className="text-xs font-medium">{senderName}</span>}
+        <time className="text-xs opacity-50 ml-1">{formatMessageTime(message.createdAt)}</time>
+        {message.encrypted && (
+          <Lock className="size-3 opacity-50" aria-label="End-to-end encrypted" />
+        )}
+        {message.pinnedAt && <Pin className="size-3 opacity-50" aria-label="Pinned" />}
+        {message.editedAt && (
+          <button
+            type="button"
+            onClick={() => setShowHistory(!showHistory)}
+            className="text-xs opacity-50 hover:opacity-100 underline-offset-2 hover:underline"
+            title="Show previous versions"
+          >
+            edited
+          </button>
+        )}
+        {/* Edits would be stored unencrypted */}
+        {isOwnMessage && !isEditing && !message.encrypted && (
+          <button
+            type="button"
+            onClick={startEditing}
+            className="opacity-0 group-hover:opacity-60 hover:!opacity-100 transition-opacity"
+            title="Edit message"
+          >
+            <Pencil className="size-3" />
+          </button>
+        )}
+        {!inThread && (
+          <button
+            type="button"
+            onClick={() => openThread(message._id)}
+            className="opacity-0 group-hover:opacity-60 hover:!opacity-100 transition-opacity"
+            title="Reply in thread"
+          >
+            <MessageSquareReply className="size-3" />
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => togglePin(message)}
+          className="opacity-0 group-hover:opacity-60 hover:!opacity-100 transition-opacity"
+          title={message.pinnedAt ? "Unpin message" : "Pin message"}
+        >
+          {message.pinnedAt ? <PinOff className="size-3" /> : <Pin className="size-3" />}
+        </button>
+        <button
+          type="button"
+          onClick={() => setShowReactionPicker(!showReactionPicker)}
+          className="opacity-0 group-hover:opacity-60 hover:!opacity-100 transition-opacity"
+          title="React"
+        >
+          <SmilePlus className="size-3" />
+        </button>
+        <div className={`dropdown ${isOwnMessage ? "dropdown-end" : ""}`}>
+          <button
+            type="button"
+            tabIndex={0}
+            className="opacity-0 group-hover:opacity-60 hover:!opacity-100 focus:opacity-100 transition-opacity"
+            title="Delete message"
+          >
+            <Trash2 className="size-3" />
+          </button>
+          <ul
+            tabIndex={0}
+            className="dropdown-content menu menu-sm z-10 w-44 rounded-box bg-base-200 p-1 shadow"
+          >
+            <li>
+              <button type="button" onClick={() => handleDelete("me")}>
+                Delete for me
+              </button>
+            </li>
+            {isOwnMessage && (
+              <li>
+                <button type="button" className="text-error" onClick={() => handleDelete("everyone")}>
+                  Delete for everyone
+                </button>
+              </li>
+            )}
+          </ul>
+        </div>
+      </div>
+      <div
+        className="chat-bubble flex flex-col"
+        onTouchStart={handleTouchStart}
+        onTouchEnd={cancelLongPress}
+        onTouchMove={cancelLongPress}
+      >
+        {!inThread && message.parentMessage && (
+          <ReplyQuote
+            message={message.parentMessage}
+            senderName={quoteSenderName}
+            onOpen={() => openThread(message.parentMessage._id)}
+          />
+        )}
+        {message.image && (
+          <MessageImage
+            src={message.image}
+            details={message.imageDetails}
+            onOpen={() => onOpenImage(message.image)}
+          />
+        )}
+        {message.attachment && (
+          <div className="mb-1">
+            <FileCard attachment={message.attachment} />
+          </div>
+        )}
+        {message.audio && (
+          <div className="mb-1">
+            <VoiceNotePlayer
+              src={message.audio.url}
+              duration={message.audio.duration}
+              waveform={message.audio.waveform}
+            />
+          </div>
+        )}
+        {isEditing ? (
+          <form onSubmit={handleSaveEdit} className="flex items-end gap-1">
+            {/* A textarea so multi-line messages keep their line breaks */}
+            <textarea
+              className="textarea textarea-bordered textarea-sm text-base-content leading-snug"
+              rows={Math.min(draft.split("\n").length, 6)}
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={handleEditKeyDown}
+              autoFocus
+            />
+            <button type="submit" className="btn btn-xs btn-circle" disabled={isSaving} title="Save">
+              <Check className="size-3" />
+            </button>
+            <button
+              type="button"
+              className="btn btn-xs btn-circle"
+              onClick={() => setIsEditing(false)}
+              title="Cancel"
+            >
+              <X className="size-3" />
+            </button>
+          </form>
+        ) : message.encrypted && !message.isDecrypted ? (
+          <p className="flex items-center gap-2 italic opacity-60">
+            <Lock className="size-4" />
+            {message.decryptionFailed ? "Can't be decrypted on this device" : "Decrypting..."}
+          </p>
+        ) : (
+          message.text && <MessageMarkdown text={message.text} />
+        )}
+      </div>
+      {message.linkPreview && (
+        <div className="chat-footer mt-1">
+          <LinkPreviewCard
+            preview={message.linkPreview}
+            onRemove={isOwnMessage ? () => removeLinkPreview(message._id) : undefined}
+          />
+        </div>
+      )}
+      {threadLink}
+      {showReactionPicker && (
+        <div className="chat-footer mt-1">
+          <ReactionPicker messageId={message._id} onPick={() => setShowReactionPicker(false)} />
+        </div>
+      )}
+      {message.reactions?.length > 0 && (
+        <div className="chat-footer mt-1">
+          <MessageReactions message={message} />
+        </div>
+      )}
+      {showHistory && message.editHistory?.length > 0 && (
+        <div className="chat-footer mt-1">
+          <ul className="text-xs opacity-70 space-y-1 border-l-2 border-base-300 pl-2">
+            {[...message.editHistory].reverse().map((revision) => (
+              <li key={revision.createdAt}>
+                <span className="opacity-60 mr-1">{formatMessageTime(revision.createdAt)}</span>
+                <span className="line-through">{revision.text || "(no text)"}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {showStatus && (
+        <div className="chat-footer opacity-70 mt-1">
+          <MessageStatus message={message} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChatMessage;
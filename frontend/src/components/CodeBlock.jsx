@@ -0,0 +1,61 @@
+import { useEffect, useState } from "react";
+import { Highlight, themes } from "prism-react-renderer";
+import { Check, Copy } from "lucide-react";
+
+// How long the copy button shows its confirmation
+const COPIED_FEEDBACK_MS = 2000;
+
+// A fenced code block, highlighted token by token (so nothing is injected as HTML)
+const CodeBlock = ({ code, language }) => {
+  const [isCopied, setIsCopied] = useState(false);
+
+  useEffect(() => {
+    if (!isCopied) return;
+    const timeout = setTimeout(() => setIsCopied(false), COPIED_FEEDBACK_MS);
+    return () => clearTimeout(timeout);
+  }, [isCopied]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setIsCopied(true);
+    } catch (error) {
+      console.log("Error copying code:", error);
+    }
+  };
+
+  return (
+    <div className="relative my-1 rounded-md overflow-hidden text-left">
+      <div
+        className="flex items-center justify-between bg-neutral px-2 py-0.5 text-xs
+        text-neutral-content"
+      >
+        <span className="opacity-70">{language || "text"}</span>
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="btn btn-ghost btn-xs gap-1 text-neutral-content"
+          title="Copy code"
+        >
+          {isCopied ? <Check className="size-3" /> : <Copy className="size-3" />}
+          {isCopied ? "Copied" : "Copy"}
+        </button>
+      </div>
+      <Highlight code={code} language={language || "text"} theme={themes.vsDark}>
+        {({ style, tokens, getLineProps, getTokenProps }) => (
+          <pre className="overflow-x-auto p-2 text-xs leading-relaxed" style={style}>
+            {tokens.map((line, lineIndex) => (
+              <div key={lineIndex} {...getLineProps({ line })}>
+                {line.map((token, tokenIndex) => (
+                  <span key={tokenIndex} {...getTokenProps({ token })} />
+                ))}
+              </div>
+            ))}
+          </pre>
+        )}
+      </Highlight>
+    </div>
+  );
+};
+
+export default CodeBlock;
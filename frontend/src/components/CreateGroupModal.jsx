@@ -0,0 +1,90 @@
+import { useState } from "react";
+import { Loader, X } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+
+const CreateGroupModal = ({ onClose }) => {
+  const { users, createGroup } = useChatStore();
+  const [name, setName] = useState("");
+  const [memberIds, setMemberIds] = useState([]);
+  const [isCreating, setIsCreating] = useState(false);
+
+  const toggleMember = (userId) => {
+    setMemberIds(
+      memberIds.includes(userId) ? memberIds.filter((id) => id !== userId) : [...memberIds, userId]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || memberIds.length === 0) return;
+
+    setIsCreating(true);
+    const created = await createGroup({ name: name.trim(), memberIds });
+    setIsCreating(false);
+    if (created) onClose();
+  };
+
+  return (
+    <div className="modal modal-open">
+      <form onSubmit={handleSubmit} className="modal-box space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="font-bold text-lg">New group</h3>
+          <button type="button" onClick={onClose} className="p-1 hover:bg-base-300 rounded">
+            <X className="size-5" />
+          </button>
+        </div>
+
+        <input
+          type="text"
+          className="input input-bordered w-full"
+          placeholder="Group name"
+          value={name}
+          maxLength={50}
+          onChange={(e) => setName(e.target.value)}
+          autoFocus
+        />
+
+        <div>
+          <div className="text-sm text-zinc-400 mb-2">Members ({memberIds.length} selected)</div>
+          <div className="max-h-64 overflow-y-auto space-y-1">
+            {users.map((user) => (
+              <label
+                key={user._id}
+                className="flex items-center gap-3 p-2 rounded-lg hover:bg-base-200 cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm"
+                  checked={memberIds.includes(user._id)}
+                  onChange={() => toggleMember(user._id)}
+                />
+                <img
+                  src={user.profilePic || "/avatar.png"}
+                  alt={user.fullName}
+                  className="size-8 rounded-full object-cover"
+                />
+                <span className="truncate">{user.fullName}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="modal-action">
+          <button type="button" className="btn btn-ghost" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={isCreating || !name.trim() || memberIds.length === 0}
+          >
+            {isCreating ? <Loader className="size-5 animate-spin" /> : "Create"}
+          </button>
+        </div>
+      </form>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default CreateGroupModal;
@@ -0,0 +1,55 @@
+import { Timer } from "lucide-react";
+
+import { useChatStore } from "../store/useChatStore";
+import { formatTimerDuration } from "../lib/utils";
+
+// The timers the server accepts, in seconds: 1 hour, 1 day, 7 days
+const TIMER_OPTIONS = [60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60];
+
+// Header control for the open chat's disappearing messages; either participant may change it
+const DisappearingTimerMenu = () => {
+  const { disappearAfterSeconds, setDisappearingTimer } = useChatStore();
+
+  const handleSelect = (seconds) => {
+    // Blur the trigger so the dropdown closes
+    document.activeElement?.blur();
+    if (seconds !== disappearAfterSeconds) setDisappearingTimer(seconds);
+  };
+
+  return (
+    <div className="dropdown">
+      <button
+        type="button"
+        tabIndex={0}
+        className={`p-2 rounded-full hover:bg-base-300 transition-colors flex items-center gap-1 ${
+          disappearAfterSeconds ? "text-primary" : ""
+        }`}
+        title="Disappearing messages"
+      >
+        <Timer size={20} />
+        {disappearAfterSeconds && (
+          <span className="text-xs">{formatTimerDuration(disappearAfterSeconds)}</span>
+        )}
+      </button>
+      <ul
+        tabIndex={0}
+        className="dropdown-content menu menu-sm z-10 w-48 rounded-box bg-base-200 p-1 shadow"
+      >
+        <li className="menu-title">Disappearing messages</li>
+        {[null, ...TIMER_OPTIONS].map((seconds) => (
+          <li key={seconds ?? "off"}>
+            <button
+              type="button"
+              className={seconds === disappearAfterSeconds ? "active" : ""}
+              onClick={() => handleSelect(seconds)}
+            >
+              {seconds ? formatTimerDuration(seconds) : "Off"}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DisappearingTimerMenu;
@@ -0,0 +1,46 @@
+import { Download, File, FileArchive, FileSpreadsheet, FileText } from "lucide-react";
+import { formatFileSize } from "../lib/utils";
+
+const getFileIcon = (mimeType = "") => {
+  if (mimeType.includes("zip") || mimeType.includes("compressed") || mimeType.includes("tar")) {
+    return FileArchive;
+  }
+  if (mimeType.includes("spreadsheet") || mimeType.includes("excel") || mimeType === "text/csv") {
+    return FileSpreadsheet;
+  }
+  if (mimeType === "application/pdf" || mimeType.startsWith("text/") || mimeType.includes("word")) {
+    return FileText;
+  }
+  return File;
+};
+
+// A non-image file attached to a message, or picked in the composer when there is no url yet
+const FileCard = ({ attachment }) => {
+  const Icon = getFileIcon(attachment.mimeType);
+
+  return (
+    <div className="flex items-center gap-3 rounded-lg bg-base-100/20 p-2 min-w-[200px] max-w-xs">
+      <Icon className="size-8 shrink-0" />
+      <div className="min-w-0 flex-1">
+        <div className="text-sm font-medium truncate" title={attachment.name}>
+          {attachment.name}
+        </div>
+        <div className="text-xs opacity-70">{formatFileSize(attachment.size)}</div>
+      </div>
+      {attachment.url && (
+        <a
+          href={attachment.url}
+          download={attachment.name}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="btn btn-circle btn-sm btn-ghost shrink-0"
+          title="Download"
+        >
+          <Download className="size-4" />
+        </a>
+      )}
+    </div>
+  );
+};
+
+export default FileCard;
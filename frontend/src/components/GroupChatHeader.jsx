@@ -0,0 +1,81 @@
+import { useState } from "react";
+import { Settings, Users, Video, X } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { useCallStore } from "../store/useCallStore";
+import GroupSettingsModal from "./GroupSettingsModal";
+import JoinCallButton from "./JoinCallButton";
+import PinnedBar from "./PinnedBar";
+import DisappearingTimerMenu from "./DisappearingTimerMenu";
+
+const GroupChatHeader = () => {
+  const { selectedGroup, setSelectedGroup } = useChatStore();
+  const { startCall, getCallForChat } = useCallStore();
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+
+  const ongoingCall = getCallForChat(selectedGroup);
+
+  return (
+    <div className="p-2.5 border-b border-base-300">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3 min-w-0">
+          {/* Avatar */}
+          <div className="size-10 rounded-full relative shrink-0">
+            {selectedGroup.avatar ? (
+              <img
+                src={selectedGroup.avatar}
+                alt={selectedGroup.name}
+                className="w-full h-full rounded-full object-cover"
+              />
+            ) : (
+              <div className="w-full h-full rounded-full bg-primary/10 flex items-center justify-center">
+                <Users className="size-5 text-primary" />
+              </div>
+            )}
+          </div>
+
+          {/* Group info */}
+          <div className="min-w-0">
+            <h3 className="font-medium truncate">{selectedGroup.name}</h3>
+            <p className="text-sm text-base-content/70 truncate">
+              {selectedGroup.members.map((member) => member.fullName).join(", ")}
+            </p>
+          </div>
+
+          {/* Group call button, or joining the call already in progress */}
+          {ongoingCall ? (
+            <JoinCallButton call={ongoingCall} />
+          ) : (
+            <button
+              onClick={() => startCall(selectedGroup)}
+              className="ml-4 p-2 rounded-full transition-colors hover:bg-green-100 text-green-600"
+              title="Start group video call"
+            >
+              <Video size={20} />
+            </button>
+          )}
+
+          <DisappearingTimerMenu />
+
+          <button
+            onClick={() => setIsSettingsOpen(true)}
+            className="p-2 rounded-full hover:bg-base-300 transition-colors"
+            title="Group settings"
+          >
+            <Settings size={20} />
+          </button>
+        </div>
+
+        {/* Close button */}
+        <button onClick={() => setSelectedGroup(null)} className="p-1 hover:bg-base-300 rounded">
+          <X />
+        </button>
+      </div>
+
+      <PinnedBar />
+
+      {isSettingsOpen && <GroupSettingsModal onClose={() => setIsSettingsOpen(false)} />}
+    </div>
+  );
+};
+
+export default GroupChatHeader;
@@ -0,0 +1,187 @@
+import { useState } from "react";
+import { Camera, LogOut, UserMinus, UserPlus, Users, X } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
+import { useUpload } from "../hooks/useUpload";
+import UploadProgress from "./UploadProgress";
+
+const GroupSettingsModal = ({ onClose }) => {
+  const { selectedGroup, users, updateGroup, addGroupMembers, removeGroupMember, leaveGroup } =
+    useChatStore();
+  const { authUser } = useAuthStore();
+  const [name, setName] = useState(selectedGroup.name);
+  const [newMemberId, setNewMemberId] = useState("");
+  const [isUpdating, setIsUpdating] = useState(false);
+  const { upload, cancel, progress, isUploading } = useUpload();
+
+  const isAdmin = selectedGroup.admins.includes(authUser._id);
+  const memberIds = selectedGroup.members.map((member) => member._id);
+  const nonMembers = users.filter((user) => !memberIds.includes(user._id));
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || name.trim() === selectedGroup.name) return;
+
+    setIsUpdating(true);
+    await updateGroup(selectedGroup._id, { name: name.trim() });
+    setIsUpdating(false);
+  };
+
+  const handleAvatarUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const uploaded = await upload(file);
+    if (!uploaded) return;
+
+    setIsUpdating(true);
+    await updateGroup(selectedGroup._id, { avatarUploadId: uploaded._id });
+    setIsUpdating(false);
+  };
+
+  const handleAddMember = async () => {
+    if (!newMemberId) return;
+    await addGroupMembers(selectedGroup._id, [newMemberId]);
+    setNewMemberId("");
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave ${selectedGroup.name}?`)) return;
+    await leaveGroup(selectedGroup._id);
+    onClose();
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box space-y-5">
+        <div className="flex items-center justify-between">
+          <h3 className="font-bold text-lg">Group settings</h3>
+          <button type="button" onClick={onClose} className="p-1 hover:bg-base-300 rounded">
+            <X className="size-5" />
+          </button>
+        </div>
+
+        {/* avatar and name */}
+        <div className="flex items-center gap-4">
+          <div className="relative shrink-0">
+            {selectedGroup.avatar ? (
+              <img
+                src={selectedGroup.avatar}
+                alt={selectedGroup.name}
+                className="size-16 rounded-full object-cover"
+              />
+            ) : (
+              <div className="size-16 rounded-full bg-primary/10 flex items-center justify-center">
+                <Users className="size-7 text-primary" />
+              </div>
+            )}
+            <label
+              htmlFor="group-avatar-upload"
+              className={`
+                absolute bottom-0 right-0 bg-base-content p-1.5 rounded-full cursor-pointer
+                ${isUpdating || isUploading ? "animate-pulse pointer-events-none" : ""}
+              `}
+            >
+              <Camera className="size-3 text-base-200" />
+              <input
+                type="file"
+                id="group-avatar-upload"
+                className="hidden"
+                accept="image/*"
+                onChange={handleAvatarUpload}
+                disabled={isUpdating || isUploading}
+              />
+            </label>
+          </div>
+
+          <form onSubmit={handleRename} className="flex-1 flex gap-2">
+            <input
+              type="text"
+              className="input input-bordered input-sm flex-1"
+              value={name}
+              maxLength={50}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <button
+              type="submit"
+              className="btn btn-sm"
+              disabled={isUpdating || !name.trim() || name.trim() === selectedGroup.name}
+            >
+              Rename
+            </button>
+          </form>
+        </div>
+
+        {isUploading && <UploadProgress progress={progress} onCancel={cancel} />}
+
+        {/* members */}
+        <div>
+          <div className="text-sm text-zinc-400 mb-2">
+            {selectedGroup.members.length} members
+          </div>
+          <div className="max-h-60 overflow-y-auto space-y-1">
+            {selectedGroup.members.map((member) => (
+              <div key={member._id} className="flex items-center gap-3 p-2 rounded-lg">
+                <img
+                  src={member.profilePic || "/avatar.png"}
+                  alt={member.fullName}
+                  className="size-8 rounded-full object-cover"
+                />
+                <span className="flex-1 truncate">
+                  {member._id === authUser._id ? "You" : member.fullName}
+                </span>
+                {selectedGroup.admins.includes(member._id) && (
+                  <span className="badge badge-sm badge-ghost">Admin</span>
+                )}
+                {isAdmin && member._id !== authUser._id && (
+                  <button
+                    onClick={() => removeGroupMember(selectedGroup._id, member._id)}
+                    className="p-1 rounded hover:bg-base-300 text-error"
+                    title="Remove from group"
+                  >
+                    <UserMinus className="size-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {isAdmin && nonMembers.length > 0 && (
+          <div className="flex gap-2">
+            <select
+              className="select select-bordered select-sm flex-1"
+              value={newMemberId}
+              onChange={(e) => setNewMemberId(e.target.value)}
+            >
+              <option value="">Add a member…</option>
+              {nonMembers.map((user) => (
+                <option key={user._id} value={user._id}>
+                  {user.fullName}
+                </option>
+              ))}
+            </select>
+            <button className="btn btn-sm" onClick={handleAddMember} disabled={!newMemberId}>
+              <UserPlus className="size-4" />
+              Add
+            </button>
+          </div>
+        )}
+
+        <div className="modal-action justify-between">
+          <button className="btn btn-sm btn-ghost text-error" onClick={handleLeave}>
+            <LogOut className="size-4" />
+            Leave group
+          </button>
+          <button className="btn btn-sm" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default GroupSettingsModal;
@@ -0,0 +1,49 @@
+import { useEffect, useState } from "react";
+import { ExternalLink, Loader, X } from "lucide-react";
+
+// Full-screen view of an image at its original size; Escape or a click outside closes it
+const ImageLightbox = ({ src, onClose }) => {
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 p-4"
+      onClick={onClose}
+    >
+      <div className="absolute top-4 right-4 flex gap-2">
+        <a
+          href={src}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="btn btn-circle btn-sm"
+          title="Open original"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <ExternalLink className="size-4" />
+        </a>
+        <button type="button" onClick={onClose} className="btn btn-circle btn-sm" title="Close">
+          <X className="size-4" />
+        </button>
+      </div>
+
+      {!isLoaded && <Loader className="absolute size-8 text-white animate-spin" />}
+      <img
+        src={src}
+        alt="Attachment"
+        onLoad={() => setIsLoaded(true)}
+        onClick={(e) => e.stopPropagation()}
+        className={`max-w-full max-h-full object-contain ${isLoaded ? "" : "invisible"}`}
+      />
+    </div>
+  );
+};
+
+export default ImageLightbox;
@@ -0,0 +1,23 @@
+import { Video } from "lucide-react";
+import { useCallStore } from "../store/useCallStore";
+
+// Shown in a conversation header while a call is in progress there
+const JoinCallButton = ({ call }) => {
+  const { activeCall, joinCall } = useCallStore();
+  const isInCall = activeCall?.callId === call.callId;
+
+  return (
+    <button
+      onClick={() => joinCall(call.callId)}
+      disabled={isInCall}
+      className="ml-4 btn btn-sm btn-success gap-1"
+      title={isInCall ? "You are in this call" : "Join the call in progress"}
+    >
+      <Video size={16} />
+      {isInCall ? "In call" : "Join call"}
+      <span className="badge badge-sm">{call.participantIds.length}</span>
+    </button>
+  );
+};
+
+export default JoinCallButton;
@@ -0,0 +1,46 @@
+import { useState } from "react";
+import { X } from "lucide-react";
+
+// Title, description and image of a linked page; onRemove adds a button that takes the preview off
+const LinkPreviewCard = ({ preview, onRemove }) => {
+  const [imageFailed, setImageFailed] = useState(false);
+
+  return (
+    <div
+      className="relative w-64 max-w-full overflow-hidden rounded-lg border border-base-300
+      bg-base-100 text-base-content"
+    >
+      <a href={preview.url} target="_blank" rel="noopener noreferrer nofollow" className="block">
+        {preview.image && !imageFailed && (
+          <img
+            src={preview.image}
+            alt=""
+            loading="lazy"
+            referrerPolicy="no-referrer"
+            onError={() => setImageFailed(true)}
+            className="w-full h-32 object-cover bg-base-200"
+          />
+        )}
+        <div className="p-2 space-y-0.5">
+          <div className="text-xs opacity-60 truncate">{preview.siteName}</div>
+          <div className="text-sm font-medium line-clamp-2">{preview.title}</div>
+          {preview.description && (
+            <div className="text-xs opacity-70 line-clamp-2">{preview.description}</div>
+          )}
+        </div>
+      </a>
+      {onRemove && (
+        <button
+          type="button"
+          onClick={onRemove}
+          className="absolute top-1 right-1 btn btn-xs btn-circle"
+          title="Remove preview"
+        >
+          <X className="size-3" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LinkPreviewCard;
@@ -0,0 +1,55 @@
+import { useState } from "react";
+
+// Images are shown at most this big in the chat; the lightbox shows the original
+const MAX_WIDTH = 200;
+const MAX_HEIGHT = 300;
+
+// A message's image: the space is reserved up front from the recorded size, the blurred
+// placeholder shows until the display size has loaded, and clicking opens the original
+const MessageImage = ({ src, details, onOpen }) => {
+  const [isLoaded, setIsLoaded] = useState(false);
+  const { width, height, placeholder, medium } = details || {};
+
+  // Images sent before the pipeline existed have no recorded size
+  if (!width || !height) {
+    return (
+      <button type="button" onClick={onOpen} className="mb-2" title="Open image">
+        <img src={src} alt="Attachment" loading="lazy" className="sm:max-w-[200px] rounded-md" />
+      </button>
+    );
+  }
+
+  const displayWidth = Math.min(MAX_WIDTH, width, (MAX_HEIGHT * width) / height);
+
+  return (
+    <button
+      type="button"
+      onClick={onOpen}
+      className="relative block max-w-full mb-2 rounded-md overflow-hidden bg-base-300"
+      style={{ width: displayWidth, aspectRatio: `${width} / ${height}` }}
+      title="Open image"
+    >
+      {placeholder && !isLoaded && (
+        <img
+          src={placeholder}
+          alt=""
+          aria-hidden="true"
+          className="absolute inset-0 size-full object-cover blur-md scale-110"
+        />
+      )}
+      <img
+        src={medium || src}
+        alt="Attachment"
+        loading="lazy"
+        width={width}
+        height={height}
+        onLoad={() => setIsLoaded(true)}
+        className={`relative size-full object-cover transition-opacity duration-300 ${
+          isLoaded ? "opacity-100" : "opacity-0"
+        }`}
+      />
+    </button>
+  );
+};
+
+export default MessageImage;
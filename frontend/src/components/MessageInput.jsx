@@ -1,106 +1,394 @@
-import { useRef, useState } from "react";
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
 import { useChatStore } from "../store/useChatStore";
-import { Image, Send, X } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+import { useScheduledMessageStore } from "../store/useScheduledMessageStore";
+import { useEncryptionStore } from "../store/useEncryptionStore";
+import { CalendarClock, Eye, EyeOff, Mic, Paperclip, Send, X } from "lucide-react";
 import toast from "react-hot-toast";
+import { useUpload } from "../hooks/useUpload";
+import VoiceRecorder from "./VoiceRecorder";
+import FileCard from "./FileCard";
+import UploadProgress from "./UploadProgress";
+import LinkPreviewCard from "./LinkPreviewCard";
+import MessageMarkdown from "./MessageMarkdown";
+import { findFirstLink, toDateTimeInputValue } from "../lib/utils";
+import { encryptFile } from "../lib/e2ee";
 
-const MessageInput = () => {
+// Re-send "typingStart" this often while typing so the server-side expiry is refreshed
+const TYPING_REFRESH_MS = 3000;
+// Send "typingStop" after this long without a keystroke
+const TYPING_IDLE_MS = 1500;
+// Wait for typing to pause before fetching the preview of a link
+const LINK_PREVIEW_DELAY_MS = 600;
+// The composer grows with its text up to this height (px), then scrolls
+const MAX_COMPOSER_HEIGHT = 160;
+// Scheduling starts out proposing this far ahead
+const DEFAULT_SCHEDULE_DELAY_MS = 60 * 60 * 1000;
+
+// threadRootId: set for the thread panel's composer, whose messages are replies in that thread
+const MessageInput = ({ threadRootId }) => {
   const [text, setText] = useState("");
-  const [imagePreview, setImagePreview] = useState(null);
+  // The picked file, uploaded as soon as it is picked: {name, size, mimeType, previewUrl, uploadId}
+  // and, when it was encrypted before the upload, the fileKey to open it with
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const [linkPreview, setLinkPreview] = useState(null);
+  // The link whose preview the user removed; the message is then sent without one
+  const [dismissedLink, setDismissedLink] = useState(null);
+  const [showPreview, setShowPreview] = useState(false);
+  // Local date and time to send the message at; null sends it right away
+  const [scheduleAt, setScheduleAt] = useState(null);
+  const textareaRef = useRef(null);
   const fileInputRef = useRef(null);
-  const { sendMessage } = useChatStore();
+  const lastTypingSentRef = useRef(0);
+  const typingIdleTimeoutRef = useRef(null);
+  const { sendMessage, fetchLinkPreview, selectedUser, selectedGroup } = useChatStore();
+  const { scheduleMessage } = useScheduledMessageStore();
+  const { startTyping, stopTyping } = useAuthStore();
+  const { isEncryptedChat } = useEncryptionStore();
+  const { upload, cancel: cancelUpload, progress: uploadProgress, isUploading } = useUpload();
 
-  const handleImageChange = (e) => {
-    const file = e.target.files[0];
-    if (!file.type.startsWith("image/")) {
-      toast.error("Please select an image file");
+  const selectedUserId = selectedUser?._id;
+  const isEncrypted = isEncryptedChat(selectedUserId);
+  // Scheduled messages are stored on the server until they are sent, so they can't be encrypted
+  const canSchedule = !isEncrypted && !selectedFile?.fileKey;
+
+  const handleStopTyping = () => {
+    clearTimeout(typingIdleTimeoutRef.current);
+    typingIdleTimeoutRef.current = null;
+    if (lastTypingSentRef.current) {
+      lastTypingSentRef.current = 0;
+      stopTyping(selectedUserId);
+    }
+  };
+
+  // Stop the indicator when switching conversations or leaving the chat
+  useEffect(() => {
+    return () => {
+      clearTimeout(typingIdleTimeoutRef.current);
+      if (lastTypingSentRef.current) {
+        lastTypingSentRef.current = 0;
+        stopTyping(selectedUserId);
+      }
+    };
+  }, [selectedUserId, stopTyping]);
+
+  const firstLink = findFirstLink(text);
+
+  useEffect(() => {
+    setLinkPreview(null);
+    // Fetching a preview would show the link to the server
+    if (!firstLink || firstLink === dismissedLink || isEncrypted) return;
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      const preview = await fetchLinkPreview(firstLink);
+      if (!cancelled) setLinkPreview(preview);
+    }, LINK_PREVIEW_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [firstLink, dismissedLink, isEncrypted, fetchLinkPreview]);
+
+  // Fit the composer to its text
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    textarea.style.height = "auto";
+    textarea.style.height = `${Math.min(textarea.scrollHeight, MAX_COMPOSER_HEIGHT)}px`;
+  }, [text]);
+
+  const handleTextChange = (e) => {
+    const value = e.target.value;
+    setText(value);
+
+    if (!value.trim()) {
+      handleStopTyping();
       return;
     }
 
-    const reader = new FileReader();
-    reader.onloadend = () => {
-      setImagePreview(reader.result);
+    const now = Date.now();
+    if (now - lastTypingSentRef.current > TYPING_REFRESH_MS) {
+      lastTypingSentRef.current = now;
+      startTyping(selectedUserId);
+    }
+
+    clearTimeout(typingIdleTimeoutRef.current);
+    typingIdleTimeoutRef.current = setTimeout(handleStopTyping, TYPING_IDLE_MS);
+  };
+
+  const previewUrl = selectedFile?.previewUrl;
+
+  // Free the image preview's object URL when it is replaced or removed
+  useEffect(() => {
+    return () => {
+      if (previewUrl) URL.revokeObjectURL(previewUrl);
     };
-    reader.readAsDataURL(file);
+  }, [previewUrl]);
+
+  const removeFile = () => {
+    cancelUpload();
+    setSelectedFile(null);
   };
 
-  const removeImage = () => {
-    setImagePreview(null);
-    if (fileInputRef.current) fileInputRef.current.value = "";
+  // Images are sent inline with a preview; any other file becomes an attachment card. In an
+  // encrypted chat the file is encrypted before it is uploaded
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    cancelUpload();
+    const selection = {
+      name: file.name,
+      size: file.size,
+      mimeType: file.type,
+      previewUrl: file.type.startsWith("image/") ? URL.createObjectURL(file) : null,
+    };
+    setSelectedFile(selection);
+
+    let fileToUpload = file;
+    let fileKey;
+    if (isEncrypted) {
+      try {
+        ({ encryptedFile: fileToUpload, fileKey } = await encryptFile(file));
+      } catch (error) {
+        console.log("Error encrypting file:", error);
+        toast.error("Could not encrypt the file");
+        setSelectedFile((current) => (current === selection ? null : current));
+        return;
+      }
+    }
+
+    const uploaded = await upload(fileToUpload);
+    // The file may have been removed or replaced while it was uploading
+    setSelectedFile((current) => {
+      if (current !== selection) return current;
+      return uploaded ? { ...current, uploadId: uploaded._id, fileKey } : null;
+    });
   };
 
+  const canSend = text.trim() || selectedFile?.uploadId;
+
   const handleSendMessage = async (e) => {
     e.preventDefault();
-    if (!text.trim() && !imagePreview) return;
+    if (!canSend || isUploading) return;
+
+    handleStopTyping();
+
+    const messageData = {
+      text: text.trim(),
+      uploadId: selectedFile?.uploadId,
+      linkPreview: firstLink && firstLink === dismissedLink ? false : undefined,
+      parentMessageId: threadRootId,
+    };
 
     try {
-      await sendMessage({
-        text: text.trim(),
-        image: imagePreview,
-      });
+      if (scheduleAt && canSchedule) {
+        const chatId = selectedGroup?._id || selectedUser?._id;
+        const scheduled = await scheduleMessage(chatId, {
+          ...messageData,
+          sendAt: new Date(scheduleAt).toISOString(),
+        });
+        if (!scheduled) return;
+        setScheduleAt(null);
+      } else {
+        const sent = await sendMessage({
+          ...messageData,
+          file: selectedFile && {
+            name: selectedFile.name,
+            size: selectedFile.size,
+            mimeType: selectedFile.mimeType,
+          },
+          fileKey: selectedFile?.fileKey,
+        });
+        if (!sent) return;
+      }
 
       // Clear form
       setText("");
-      setImagePreview(null);
-      if (fileInputRef.current) fileInputRef.current.value = "";
+      setSelectedFile(null);
+      setDismissedLink(null);
     } catch (error) {
       console.error("Failed to send message:", error);
     }
   };
 
+  const toggleSchedule = () => {
+    setScheduleAt(
+      scheduleAt ? null : toDateTimeInputValue(new Date(Date.now() + DEFAULT_SCHEDULE_DELAY_MS))
+    );
+  };
+
+  // Enter sends; Shift+Enter (or Enter while an input method is composing) starts a new line
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" && !e.shiftKey && !e.nativeEvent.isComposing) {
+      handleSendMessage(e);
+    }
+  };
+
+  const handleSendVoiceNote = async ({ uploadId, duration, waveform }) => {
+    const sent = await sendMessage({
+      uploadId,
+      voiceNote: { duration, waveform },
+      parentMessageId: threadRootId,
+    });
+    if (sent) setIsRecording(false);
+    return sent;
+  };
+
+  if (isRecording) {
+    return (
+      <div className="p-4 w-full">
+        <VoiceRecorder onSend={handleSendVoiceNote} onCancel={() => setIsRecording(false)} />
+      </div>
+    );
+  }
+
   return (
     <div className="p-4 w-full">
-      {imagePreview && (
+      {selectedFile && (
         <div className="mb-3 flex items-center gap-2">
-          <div className="relative">
-            <img
-              src={imagePreview}
-              alt="Preview"
-              className="w-20 h-20 object-cover rounded-lg border border-zinc-700"
-            />
+          <div className="relative rounded-lg border border-zinc-700">
+            {selectedFile.previewUrl ? (
+              <img
+                src={selectedFile.previewUrl}
+                alt="Preview"
+                className="w-20 h-20 object-cover rounded-lg"
+              />
+            ) : (
+              <FileCard attachment={selectedFile} />
+            )}
             <button
-              onClick={removeImage}
+              onClick={removeFile}
               className="absolute -top-1.5 -right-1.5 w-5 h-5 rounded-full bg-base-300
               flex items-center justify-center"
               type="button"
+              title={isUploading ? "Cancel upload" : "Remove"}
             >
               <X className="size-3" />
             </button>
           </div>
+          {isUploading && (
+            <UploadProgress progress={uploadProgress} onCancel={removeFile} className="w-40" />
+          )}
         </div>
       )}
 
-      <form onSubmit={handleSendMessage} className="flex items-center gap-2">
-        <div className="flex-1 flex gap-2">
+      {linkPreview && (
+        <div className="mb-3">
+          <LinkPreviewCard preview={linkPreview} onRemove={() => setDismissedLink(firstLink)} />
+        </div>
+      )}
+
+      {scheduleAt && canSchedule && (
+        <div className="mb-3 flex items-center gap-2 text-sm">
+          <CalendarClock className="size-4 text-primary shrink-0" />
+          <span>Send at</span>
           <input
-            type="text"
-            className="w-full input input-bordered rounded-lg input-sm sm:input-md"
-            placeholder="Type a message..."
+            type="datetime-local"
+            className="input input-bordered input-sm"
+            min={toDateTimeInputValue(new Date())}
+            value={scheduleAt}
+            onChange={(e) => setScheduleAt(e.target.value)}
+          />
+          <button
+            type="button"
+            onClick={() => setScheduleAt(null)}
+            className="p-1 hover:bg-base-300 rounded"
+            title="Send right away instead"
+          >
+            <X className="size-4" />
+          </button>
+        </div>
+      )}
+
+      {showPreview && text.trim() && (
+        <div className="mb-3 max-h-48 overflow-y-auto rounded-lg bg-base-200 p-3 text-sm">
+          <MessageMarkdown text={text} />
+        </div>
+      )}
+
+      <form onSubmit={handleSendMessage} className="flex items-end gap-2">
+        <div className="flex-1 flex items-end gap-2">
+          <textarea
+            ref={textareaRef}
+            rows={1}
+            className="w-full textarea textarea-bordered rounded-lg textarea-sm sm:textarea-md
+            resize-none leading-snug"
+            placeholder={
+              threadRootId
+                ? "Reply in thread..."
+                : isEncrypted
+                  ? "Encrypted message... (Shift+Enter for a new line)"
+                  : "Type a message... (Shift+Enter for a new line)"
+            }
             value={text}
-            onChange={(e) => setText(e.target.value)}
+            onChange={handleTextChange}
+            onKeyDown={handleKeyDown}
           />
+          <button
+            type="button"
+            className={`hidden sm:flex btn btn-circle
+                     ${showPreview ? "text-emerald-500" : "text-zinc-400"}`}
+            onClick={() => setShowPreview(!showPreview)}
+            title={showPreview ? "Hide formatting preview" : "Preview formatting"}
+          >
+            {showPreview ? <EyeOff size={20} /> : <Eye size={20} />}
+          </button>
           <input
             type="file"
-            accept="image/*"
             className="hidden"
             ref={fileInputRef}
-            onChange={handleImageChange}
+            onChange={handleFileChange}
           />
 
           <button
             type="button"
             className={`hidden sm:flex btn btn-circle
-                     ${imagePreview ? "text-emerald-500" : "text-zinc-400"}`}
+                     ${selectedFile ? "text-emerald-500" : "text-zinc-400"}`}
             onClick={() => fileInputRef.current?.click()}
+            title="Attach a photo or file"
           >
-            <Image size={20} />
+            <Paperclip size={20} />
           </button>
+
+          {canSchedule && (
+            <button
+              type="button"
+              className={`hidden sm:flex btn btn-circle
+                       ${scheduleAt ? "text-emerald-500" : "text-zinc-400"}`}
+              onClick={toggleSchedule}
+              title={scheduleAt ? "Send right away" : "Schedule message"}
+            >
+              <CalendarClock size={20} />
+            </button>
+          )}
+
+          {/* Voice notes can't be encrypted */}
+          {!isEncrypted && (
+            <button
+              type="button"
+              className="btn btn-circle text-zinc-400"
+              onClick={() => {
+                handleStopTyping();
+                setIsRecording(true);
+              }}
+              title="Record voice note"
+            >
+              <Mic size={20} />
+            </button>
+          )}
         </div>
         <button
           type="submit"
           className="btn btn-sm btn-circle"
-          disabled={!text.trim() && !imagePreview}
+          disabled={!canSend || isUploading}
+          title={scheduleAt && canSchedule ? "Schedule message" : "Send message"}
         >
-          <Send size={22} />
+          {scheduleAt && canSchedule ? <CalendarClock size={22} /> : <Send size={22} />}
         </button>
       </form>
     </div>
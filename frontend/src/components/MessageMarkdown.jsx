@@ -0,0 +1,70 @@
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import CodeBlock from "./CodeBlock";
+
+// The Markdown subset messages may use. Anything else (headings, images, tables, raw HTML) is
+// dropped and only its text is kept
+const ALLOWED_ELEMENTS = [
+  "p",
+  "br",
+  "strong",
+  "em",
+  "del",
+  "code",
+  "pre",
+  "ul",
+  "ol",
+  "li",
+  "blockquote",
+  "a",
+];
+
+// Text of a hast node such as the <code> inside a fenced block
+const getNodeText = (node) =>
+  node.type === "text" ? node.value : (node.children || []).map(getNodeText).join("");
+
+const components = {
+  // Chat messages keep the line breaks the sender typed
+  p: ({ children }) => <p className="whitespace-pre-wrap break-words">{children}</p>,
+  a: ({ href, children }) => (
+    <a href={href} target="_blank" rel="noopener noreferrer nofollow" className="link break-all">
+      {children}
+    </a>
+  ),
+  strong: ({ children }) => <strong className="font-semibold">{children}</strong>,
+  ul: ({ children }) => <ul className="list-disc pl-5">{children}</ul>,
+  ol: ({ children }) => <ol className="list-decimal pl-5">{children}</ol>,
+  blockquote: ({ children }) => (
+    <blockquote className="border-l-4 border-current pl-2 opacity-80">{children}</blockquote>
+  ),
+  // Only inline code reaches here; fenced blocks are rendered by pre below
+  code: ({ children }) => (
+    <code className="rounded bg-black/20 px-1 py-0.5 font-mono text-[0.9em]">{children}</code>
+  ),
+  pre: ({ node }) => {
+    const codeNode = node.children.find((child) => child.tagName === "code");
+    const language = (codeNode?.properties.className || [])
+      .find((className) => className.startsWith("language-"))
+      ?.slice("language-".length);
+    const code = getNodeText(codeNode || node).replace(/\n$/, "");
+    return <CodeBlock code={code} language={language} />;
+  },
+};
+
+// Message text rendered as Markdown (with GitHub's strikethrough and bare-link extensions).
+// Raw HTML is skipped and unsafe link protocols are removed by react-markdown
+const MessageMarkdown = ({ text }) => (
+  <div className="space-y-1 break-words">
+    <ReactMarkdown
+      remarkPlugins={[remarkGfm]}
+      allowedElements={ALLOWED_ELEMENTS}
+      unwrapDisallowed
+      skipHtml
+      components={components}
+    >
+      {text}
+    </ReactMarkdown>
+  </div>
+);
+
+export default MessageMarkdown;
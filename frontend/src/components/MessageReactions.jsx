@@ -0,0 +1,60 @@
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+
+// Row of emoji buttons used to react to a message
+export const ReactionPicker = ({ messageId, onPick }) => {
+  const { toggleReaction } = useChatStore();
+
+  return (
+    <div className="flex gap-1 rounded-full bg-base-200 px-2 py-1 shadow">
+      {QUICK_REACTIONS.map((emoji) => (
+        <button
+          key={emoji}
+          type="button"
+          className="text-lg leading-none hover:scale-125 transition-transform"
+          onClick={() => {
+            toggleReaction(messageId, emoji);
+            onPick?.();
+          }}
+        >
+          {emoji}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// Reaction chips grouped by emoji, with a count and our own reactions highlighted
+const MessageReactions = ({ message }) => {
+  const { authUser } = useAuthStore();
+  const { toggleReaction } = useChatStore();
+
+  if (!message.reactions?.length) return null;
+
+  const groups = message.reactions.reduce((acc, { emoji, userId }) => {
+    if (!acc[emoji]) acc[emoji] = { emoji, count: 0, reactedByMe: false };
+    acc[emoji].count += 1;
+    if (userId === authUser._id) acc[emoji].reactedByMe = true;
+    return acc;
+  }, {});
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {Object.values(groups).map(({ emoji, count, reactedByMe }) => (
+        <button
+          key={emoji}
+          type="button"
+          onClick={() => toggleReaction(message._id, emoji)}
+          className={`badge gap-1 py-3 ${reactedByMe ? "badge-primary" : "badge-ghost"}`}
+        >
+          <span>{emoji}</span>
+          <span className="text-xs">{count}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default MessageReactions;
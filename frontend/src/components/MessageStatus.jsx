@@ -0,0 +1,31 @@
+import { Check, CheckCheck } from "lucide-react";
+
+// Sent / delivered / seen ticks shown under outgoing messages
+const MessageStatus = ({ message }) => {
+  if (message.readAt) {
+    return (
+      <span className="flex items-center gap-1 text-info" title="Seen">
+        <CheckCheck className="size-4" />
+        <span className="text-xs">Seen</span>
+      </span>
+    );
+  }
+
+  if (message.deliveredAt) {
+    return (
+      <span className="flex items-center gap-1" title="Delivered">
+        <CheckCheck className="size-4" />
+        <span className="text-xs">Delivered</span>
+      </span>
+    );
+  }
+
+  return (
+    <span className="flex items-center gap-1" title="Sent">
+      <Check className="size-4" />
+      <span className="text-xs">Sent</span>
+    </span>
+  );
+};
+
+export default MessageStatus;
@@ -0,0 +1,72 @@
+import { AlertCircle, Clock, Mic, RotateCw, Trash2 } from "lucide-react";
+
+import { useChatStore } from "../store/useChatStore";
+import { formatDuration, formatMessageTime } from "../lib/utils";
+import FileCard from "./FileCard";
+import MessageMarkdown from "./MessageMarkdown";
+
+// One of our messages still in the outbox: sending, or failed with retry and discard actions
+const PendingMessage = ({ message, avatar }) => {
+  const { retryMessage, discardMessage } = useChatStore();
+  const hasFailed = message.sendStatus === "failed";
+
+  return (
+    <div data-message-id={message._id} className="chat chat-end">
+      <div className=" chat-image avatar">
+        <div className="size-10 rounded-full border">
+          <img src={avatar || "/avatar.png"} alt="profile pic" />
+        </div>
+      </div>
+      <div className="chat-header mb-1">
+        <time className="text-xs opacity-50 ml-1">{formatMessageTime(message.createdAt)}</time>
+      </div>
+      <div className={`chat-bubble flex flex-col ${hasFailed ? "" : "opacity-70"}`}>
+        {message.attachment && (
+          <div className="mb-1">
+            <FileCard attachment={message.attachment} />
+          </div>
+        )}
+        {message.audio && (
+          <span className="flex items-center gap-1">
+            <Mic className="size-4" />
+            Voice message · {formatDuration(message.audio.duration)}
+          </span>
+        )}
+        {message.text && <MessageMarkdown text={message.text} />}
+      </div>
+      <div className="chat-footer mt-1 flex items-center gap-2 text-xs">
+        {hasFailed ? (
+          <>
+            <span className="flex items-center gap-1 text-error">
+              <AlertCircle className="size-3" />
+              {message.sendError}
+            </span>
+            <button
+              type="button"
+              onClick={() => retryMessage(message.clientId)}
+              className="flex items-center gap-1 hover:underline"
+            >
+              <RotateCw className="size-3" />
+              Retry
+            </button>
+            <button
+              type="button"
+              onClick={() => discardMessage(message.clientId)}
+              className="flex items-center gap-1 hover:underline"
+            >
+              <Trash2 className="size-3" />
+              Discard
+            </button>
+          </>
+        ) : (
+          <span className="flex items-center gap-1 opacity-60">
+            <Clock className="size-3" />
+            Sending...
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PendingMessage;
@@ -0,0 +1,56 @@
+import { useState } from "react";
+import { Pin, PinOff } from "lucide-react";
+
+import { useChatStore } from "../store/useChatStore";
+import { useEncryptionStore, withDecryptedContent } from "../store/useEncryptionStore";
+import { getMessagePreview } from "../lib/utils";
+
+// The open chat's pinned messages, one at a time. Clicking scrolls to the pin shown and moves
+// on to the next one, so repeated clicks cycle through them all
+const PinnedBar = () => {
+  const { pinnedMessages, selectedUser, selectedGroup, jumpToMessage, togglePin } =
+    useChatStore();
+  const { deviceKey, decryptedMessages } = useEncryptionStore();
+  const [index, setIndex] = useState(0);
+
+  if (pinnedMessages.length === 0) return null;
+
+  // Pins may have been removed since the index was last moved
+  const position = index % pinnedMessages.length;
+  const pinnedMessage = pinnedMessages[position];
+
+  const handleClick = () => {
+    jumpToMessage(selectedGroup || selectedUser, pinnedMessage._id);
+    setIndex(position + 1);
+  };
+
+  return (
+    <div className="mt-2 flex items-center gap-2 rounded-lg bg-base-200 px-3 py-1.5">
+      <Pin className="size-4 shrink-0 text-primary" />
+      <button
+        type="button"
+        onClick={handleClick}
+        className="flex-1 min-w-0 text-left"
+        title="Show pinned message"
+      >
+        <span className="block text-xs font-medium text-primary">
+          Pinned message
+          {pinnedMessages.length > 1 && ` ${position + 1} of ${pinnedMessages.length}`}
+        </span>
+        <span className="block truncate text-sm">
+          {getMessagePreview(withDecryptedContent(pinnedMessage, { deviceKey, decryptedMessages }))}
+        </span>
+      </button>
+      <button
+        type="button"
+        onClick={() => togglePin(pinnedMessage)}
+        className="p-1 hover:bg-base-300 rounded shrink-0"
+        title="Unpin"
+      >
+        <PinOff className="size-4" />
+      </button>
+    </div>
+  );
+};
+
+export default PinnedBar;
@@ -0,0 +1,101 @@
+import { useEffect, useState } from "react";
+import { Loader, ShieldCheck, X } from "lucide-react";
+
+import { useAuthStore } from "../store/useAuthStore";
+import { useEncryptionStore } from "../store/useEncryptionStore";
+import { getKeyFingerprint, getSafetyNumber } from "../lib/e2ee";
+
+// Safety number of our keys and the user's, to compare with them over another channel. Both
+// sides see the same number unless someone slipped their own key into the directory
+const SafetyNumberModal = ({ user, onClose }) => {
+  const { authUser } = useAuthStore();
+  const { getDeviceKeys, changedKeyUserIds, acceptKeyChange } = useEncryptionStore();
+  const [safetyNumber, setSafetyNumber] = useState(null);
+  const [hasFailed, setHasFailed] = useState(false);
+
+  const userId = user._id;
+  const authUserId = authUser._id;
+  useEffect(() => {
+    let cancelled = false;
+
+    const computeSafetyNumber = async () => {
+      const [myDevices, theirDevices] = await Promise.all([
+        getDeviceKeys(authUserId),
+        getDeviceKeys(userId),
+      ]);
+      if (cancelled) return;
+      if (!myDevices || !theirDevices) {
+        setHasFailed(true);
+        return;
+      }
+
+      const number = await getSafetyNumber(
+        await getKeyFingerprint(myDevices),
+        await getKeyFingerprint(theirDevices)
+      );
+      if (!cancelled) setSafetyNumber(number);
+    };
+    computeSafetyNumber();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authUserId, userId, getDeviceKeys]);
+
+  // The number covers our own devices too, so a match confirms a change on either side
+  const handleVerify = async () => {
+    await Promise.all([acceptKeyChange(userId), acceptKeyChange(authUserId)]);
+    onClose();
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="font-bold text-lg flex items-center gap-2">
+            <ShieldCheck className="size-5" />
+            Safety number
+          </h3>
+          <button type="button" onClick={onClose} className="p-1 hover:bg-base-300 rounded">
+            <X className="size-5" />
+          </button>
+        </div>
+
+        <p className="text-sm text-base-content/70">
+          Compare this number with the one {user.fullName} sees, in person or over a call. If
+          they match, your messages to each other can only be read on your devices.
+        </p>
+
+        {safetyNumber ? (
+          <div className="grid grid-cols-4 gap-2 rounded-lg bg-base-200 p-4 font-mono text-center">
+            {safetyNumber.map((group, index) => (
+              <span key={index}>{group}</span>
+            ))}
+          </div>
+        ) : hasFailed ? (
+          <p className="text-center text-error py-4">Could not load the keys</p>
+        ) : (
+          <div className="flex justify-center py-4">
+            <Loader className="size-5 animate-spin" />
+          </div>
+        )}
+
+        {(changedKeyUserIds.includes(userId) || changedKeyUserIds.includes(authUserId)) && (
+          <div className="flex justify-end">
+            <button
+              type="button"
+              className="btn btn-primary btn-sm"
+              onClick={handleVerify}
+              disabled={!safetyNumber}
+            >
+              The numbers match
+            </button>
+          </div>
+        )}
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default SafetyNumberModal;
@@ -0,0 +1,177 @@
+import { useEffect, useState } from "react";
+import { CalendarClock, Loader, Paperclip, Pencil, Send, Trash2, X } from "lucide-react";
+
+import { useScheduledMessageStore } from "../store/useScheduledMessageStore";
+import { useChatStore } from "../store/useChatStore";
+import { formatMessageDate, formatMessageTime, toDateTimeInputValue } from "../lib/utils";
+
+const ScheduledMessageItem = ({ scheduledMessage, chatName }) => {
+  const { updateScheduledMessage, sendScheduledMessageNow, cancelScheduledMessage } =
+    useScheduledMessageStore();
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftText, setDraftText] = useState("");
+  const [draftSendAt, setDraftSendAt] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+
+  const isSending = scheduledMessage.status === "sending";
+
+  const startEditing = () => {
+    setDraftText(scheduledMessage.text || "");
+    setDraftSendAt(toDateTimeInputValue(new Date(scheduledMessage.sendAt)));
+    setIsEditing(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    const saved = await updateScheduledMessage(scheduledMessage._id, {
+      text: draftText,
+      sendAt: new Date(draftSendAt).toISOString(),
+    });
+    setIsBusy(false);
+    if (saved) setIsEditing(false);
+  };
+
+  const runAction = async (action) => {
+    setIsBusy(true);
+    await action(scheduledMessage._id);
+    setIsBusy(false);
+  };
+
+  return (
+    <li className="rounded-lg border border-base-300 p-3 space-y-2">
+      <div className="flex items-center justify-between gap-2 text-xs text-zinc-400">
+        <span className="truncate">To {chatName}</span>
+        <span className="shrink-0">
+          {formatMessageDate(scheduledMessage.sendAt)} {formatMessageTime(scheduledMessage.sendAt)}
+        </span>
+      </div>
+
+      {scheduledMessage.status === "failed" && (
+        <p className="text-xs text-error">Not sent: {scheduledMessage.error}</p>
+      )}
+
+      {isEditing ? (
+        <form onSubmit={handleSave} className="space-y-2">
+          <textarea
+            className="textarea textarea-bordered textarea-sm w-full leading-snug"
+            rows={3}
+            value={draftText}
+            onChange={(e) => setDraftText(e.target.value)}
+            autoFocus
+          />
+          <input
+            type="datetime-local"
+            className="input input-bordered input-sm w-full"
+            min={toDateTimeInputValue(new Date())}
+            value={draftSendAt}
+            onChange={(e) => setDraftSendAt(e.target.value)}
+            required
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs"
+              onClick={() => setIsEditing(false)}
+            >
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary btn-xs" disabled={isBusy}>
+              Save
+            </button>
+          </div>
+        </form>
+      ) : (
+        <>
+          <div className="text-sm whitespace-pre-wrap break-words">
+            {scheduledMessage.uploadId && (
+              <Paperclip className="inline size-4 mr-1 align-text-bottom" aria-label="File" />
+            )}
+            {scheduledMessage.text}
+          </div>
+          <div className="flex justify-end gap-1">
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs"
+              onClick={startEditing}
+              disabled={isBusy || isSending}
+              title="Edit or reschedule"
+            >
+              <Pencil className="size-3" />
+            </button>
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs"
+              onClick={() => runAction(sendScheduledMessageNow)}
+              disabled={isBusy || isSending}
+              title="Send now"
+            >
+              <Send className="size-3" />
+            </button>
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs text-error"
+              onClick={() => runAction(cancelScheduledMessage)}
+              disabled={isBusy || isSending}
+              title="Cancel scheduled message"
+            >
+              <Trash2 className="size-3" />
+            </button>
+          </div>
+        </>
+      )}
+    </li>
+  );
+};
+
+const ScheduledMessagesModal = ({ onClose }) => {
+  const { scheduledMessages, isScheduledLoading, getScheduledMessages } =
+    useScheduledMessageStore();
+  const { users, groups } = useChatStore();
+
+  useEffect(() => {
+    getScheduledMessages();
+  }, [getScheduledMessages]);
+
+  const getChatName = (chatId) =>
+    groups.find((group) => group._id === chatId)?.name ||
+    users.find((user) => user._id === chatId)?.fullName ||
+    "Unknown";
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="font-bold text-lg flex items-center gap-2">
+            <CalendarClock className="size-5" />
+            Scheduled messages
+          </h3>
+          <button type="button" onClick={onClose} className="p-1 hover:bg-base-300 rounded">
+            <X className="size-5" />
+          </button>
+        </div>
+
+        {isScheduledLoading && scheduledMessages.length === 0 ? (
+          <div className="flex justify-center py-4">
+            <Loader className="size-5 animate-spin" />
+          </div>
+        ) : scheduledMessages.length === 0 ? (
+          <p className="text-center text-zinc-500 py-4">No scheduled messages</p>
+        ) : (
+          <ul className="space-y-3 max-h-[60vh] overflow-y-auto">
+            {scheduledMessages.map((scheduledMessage) => (
+              <ScheduledMessageItem
+                key={scheduledMessage._id}
+                scheduledMessage={scheduledMessage}
+                chatName={getChatName(scheduledMessage.chatId)}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default ScheduledMessagesModal;
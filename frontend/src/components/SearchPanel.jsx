@@ -0,0 +1,192 @@
+import { useEffect, useState } from "react";
+import { Image, Loader, Search, X } from "lucide-react";
+
+import { useSearchStore } from "../store/useSearchStore";
+import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
+import { formatMessageDate, splitByTerms } from "../lib/utils";
+
+// Wait this long after the last keystroke or filter change before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+const HighlightedText = ({ text, terms }) =>
+  splitByTerms(text, terms).map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className="bg-primary/30 text-base-content rounded-sm">
+        {segment.text}
+      </mark>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    )
+  );
+
+const SearchPanel = () => {
+  const { results, hasMore, isSearching, searchMessages, loadMoreResults, closeSearch } =
+    useSearchStore();
+  const { users, groups, jumpToMessage } = useChatStore();
+  const { authUser } = useAuthStore();
+
+  const [query, setQuery] = useState("");
+  // "user:<id>" or "group:<id>"
+  const [chatFilter, setChatFilter] = useState("");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [hasImage, setHasImage] = useState(false);
+
+  useEffect(() => {
+    const [filterType, filterId] = chatFilter.split(":");
+    const timeout = setTimeout(() => {
+      searchMessages({
+        q: query.trim(),
+        userId: filterType === "user" ? filterId : undefined,
+        groupId: filterType === "group" ? filterId : undefined,
+        // Date inputs are local calendar days; cover the whole of each day
+        from: fromDate ? new Date(`${fromDate}T00:00:00`).toISOString() : undefined,
+        to: toDate ? new Date(`${toDate}T23:59:59.999`).toISOString() : undefined,
+        hasImage: hasImage || undefined,
+      });
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeout);
+  }, [query, chatFilter, fromDate, toDate, hasImage, searchMessages]);
+
+  const terms = query.trim().split(/\s+/);
+
+  const getPartner = (message) =>
+    users.find(
+      (user) =>
+        user._id === (message.senderId === authUser._id ? message.receiverId : message.senderId)
+    );
+
+  // The chat to open for a result and the label shown above it
+  const describeResult = (message) => {
+    const isOwn = message.senderId === authUser._id;
+
+    if (!message.receiverId) {
+      const group = groups.find((group) => group._id === message.conversationId);
+      const sender = group?.members.find((member) => member._id === message.senderId);
+      return {
+        chat: group,
+        label: `${isOwn ? "You" : sender?.fullName || "Unknown"}${group ? ` in ${group.name}` : ""}`,
+      };
+    }
+
+    const partner = getPartner(message);
+    return {
+      chat: partner,
+      label: isOwn ? `You${partner ? ` → ${partner.fullName}` : ""}` : partner?.fullName,
+    };
+  };
+
+  return (
+    <aside className="h-full w-72 border-r border-base-300 flex flex-col">
+      <div className="border-b border-base-300 w-full p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Search className="size-5" />
+            <span className="font-medium">Search messages</span>
+          </div>
+          <button onClick={closeSearch} className="p-1 hover:bg-base-300 rounded">
+            <X className="size-4" />
+          </button>
+        </div>
+
+        <input
+          type="text"
+          className="w-full input input-bordered input-sm"
+          placeholder="Search..."
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          autoFocus
+        />
+
+        <select
+          className="select select-bordered select-sm w-full"
+          value={chatFilter}
+          onChange={(e) => setChatFilter(e.target.value)}
+        >
+          <option value="">All conversations</option>
+          {groups.map((group) => (
+            <option key={group._id} value={`group:${group._id}`}>
+              {group.name}
+            </option>
+          ))}
+          {users.map((user) => (
+            <option key={user._id} value={`user:${user._id}`}>
+              {user.fullName}
+            </option>
+          ))}
+        </select>
+
+        <div className="flex gap-2">
+          <input
+            type="date"
+            className="input input-bordered input-sm w-1/2 px-2"
+            value={fromDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            title="From"
+          />
+          <input
+            type="date"
+            className="input input-bordered input-sm w-1/2 px-2"
+            value={toDate}
+            onChange={(e) => setToDate(e.target.value)}
+            title="To"
+          />
+        </div>
+
+        <label className="cursor-pointer flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={hasImage}
+            onChange={(e) => setHasImage(e.target.checked)}
+            className="checkbox checkbox-sm"
+          />
+          <span className="text-sm">Has image</span>
+        </label>
+      </div>
+
+      <div className="overflow-y-auto w-full flex-1">
+        {results.map((message) => {
+          const { chat, label } = describeResult(message);
+          return (
+            <button
+              key={message._id}
+              onClick={() => chat && jumpToMessage(chat, message._id)}
+              className="w-full p-3 text-left hover:bg-base-300 transition-colors border-b border-base-200"
+            >
+              <div className="flex items-center justify-between text-xs text-zinc-400 mb-1">
+                <span className="truncate">{label}</span>
+                <span className="shrink-0 ml-2">{formatMessageDate(message.createdAt)}</span>
+              </div>
+              <div className="text-sm line-clamp-3 flex gap-1">
+                {message.image && <Image className="size-4 shrink-0 mt-0.5" />}
+                <span>
+                  <HighlightedText text={message.text} terms={terms} />
+                </span>
+              </div>
+            </button>
+          );
+        })}
+
+        {isSearching && (
+          <div className="flex justify-center py-4">
+            <Loader className="size-5 animate-spin" />
+          </div>
+        )}
+
+        {!isSearching && hasMore && (
+          <button onClick={loadMoreResults} className="btn btn-ghost btn-sm w-full">
+            Load more
+          </button>
+        )}
+
+        {!isSearching && query.trim() && results.length === 0 && (
+          <div className="text-center text-zinc-500 py-4">No messages found</div>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default SearchPanel;
@@ -1,22 +1,73 @@
 import { useEffect, useState } from "react";
 import { useChatStore } from "../store/useChatStore";
 import { useAuthStore } from "../store/useAuthStore";
+import { useSearchStore } from "../store/useSearchStore";
+import { useScheduledMessageStore } from "../store/useScheduledMessageStore";
 import SidebarSkeleton from "./skeletons/SidebarSkeleton";
-import { Users } from "lucide-react";
+import CreateGroupModal from "./CreateGroupModal";
+import ScheduledMessagesModal from "./ScheduledMessagesModal";
+import { CalendarClock, Plus, Search, Users } from "lucide-react";
+import { formatMessageTime, getMessagePreview } from "../lib/utils";
 
 const Sidebar = () => {
-  const { getUsers, users, selectedUser, setSelectedUser, isUsersLoading } = useChatStore();
+  const {
+    getUsers,
+    users,
+    selectedUser,
+    setSelectedUser,
+    groups,
+    getGroups,
+    selectedGroup,
+    setSelectedGroup,
+    isUsersLoading,
+    conversations,
+    getConversations,
+    subscribeToConversations,
+    unsubscribeFromConversations,
+  } = useChatStore();
 
-  const { onlineUsers } = useAuthStore();
+  const { authUser, onlineUsers, typingUsers } = useAuthStore();
+  const { isSearchOpen, toggleSearch } = useSearchStore();
+  const { scheduledMessages, getScheduledMessages } = useScheduledMessageStore();
   const [showOnlineOnly, setShowOnlineOnly] = useState(false);
+  const [isCreateGroupOpen, setIsCreateGroupOpen] = useState(false);
+  const [isScheduledOpen, setIsScheduledOpen] = useState(false);
 
   useEffect(() => {
     getUsers();
-  }, [getUsers]);
+    getGroups();
+    getScheduledMessages();
+  }, [getUsers, getGroups, getScheduledMessages]);
 
-  const filteredUsers = showOnlineOnly
-    ? users.filter((user) => onlineUsers.includes(user._id))
-    : users;
+  useEffect(() => {
+    getConversations();
+    subscribeToConversations();
+
+    return () => unsubscribeFromConversations();
+  }, [getConversations, subscribeToConversations, unsubscribeFromConversations]);
+
+  // Most recent conversations first; contacts we never talked to keep their order at the end.
+  // Groups without messages yet are ranked by when they were created or last changed
+  const lastActivity = (chat) => {
+    const lastMessage = conversations[chat._id]?.lastMessage;
+    if (lastMessage) return new Date(lastMessage.createdAt).getTime();
+    return chat.isGroup ? new Date(chat.updatedAt).getTime() : 0;
+  };
+  const chats = [
+    ...(showOnlineOnly ? [] : groups.map((group) => ({ ...group, isGroup: true }))),
+    ...users,
+  ];
+  const sortedChats = chats.sort((a, b) => lastActivity(b) - lastActivity(a));
+
+  const filteredChats = showOnlineOnly
+    ? sortedChats.filter((user) => onlineUsers.includes(user._id))
+    : sortedChats;
+
+  const getGroupPreview = (group, lastMessage) => {
+    if (lastMessage.senderId === authUser._id) return `You: ${getMessagePreview(lastMessage)}`;
+    const sender = group.members.find((member) => member._id === lastMessage.senderId);
+    return `${sender ? `${sender.fullName}: ` : ""}${getMessagePreview(lastMessage)}`;
+  };
 
   if (isUsersLoading) return <SidebarSkeleton />;
 
@@ -26,6 +77,34 @@ const Sidebar = () => {
         <div className="flex items-center gap-2">
           <Users className="size-6" />
           <span className="font-medium hidden lg:block">Contacts</span>
+          <button
+            onClick={toggleSearch}
+            className={`ml-auto hidden lg:block p-1 rounded hover:bg-base-300 ${
+              isSearchOpen ? "bg-base-300" : ""
+            }`}
+            title="Search messages"
+          >
+            <Search className="size-5" />
+          </button>
+          <button
+            onClick={() => setIsScheduledOpen(true)}
+            className="hidden lg:block relative p-1 rounded hover:bg-base-300"
+            title="Scheduled messages"
+          >
+            <CalendarClock className="size-5" />
+            {scheduledMessages.length > 0 && (
+              <span className="absolute -top-1 -right-1 badge badge-primary badge-xs">
+                {scheduledMessages.length}
+              </span>
+            )}
+          </button>
+          <button
+            onClick={() => setIsCreateGroupOpen(true)}
+            className="hidden lg:block p-1 rounded hover:bg-base-300"
+            title="New group"
+          >
+            <Plus className="size-5" />
+          </button>
         </div>
         {/* TODO: Online filter toggle */}
         <div className="mt-3 hidden lg:flex items-center gap-2">
@@ -43,44 +122,136 @@ const Sidebar = () => {
       </div>
 
       <div className="overflow-y-auto w-full py-3">
-        {filteredUsers.map((user) => (
-          <button
-            key={user._id}
-            onClick={() => setSelectedUser(user)}
-            className={`
-              w-full p-3 flex items-center gap-3
-              hover:bg-base-300 transition-colors
-              ${selectedUser?._id === user._id ? "bg-base-300 ring-1 ring-base-300" : ""}
-            `}
-          >
-            <div className="relative mx-auto lg:mx-0">
-              <img
-                src={user.profilePic || "/avatar.png"}
-                alt={user.name}
-                className="size-12 object-cover rounded-full"
-              />
-              {onlineUsers.includes(user._id) && (
-                <span
-                  className="absolute bottom-0 right-0 size-3 bg-green-500 
-                  rounded-full ring-2 ring-zinc-900"
+        {filteredChats.map((chat) => {
+          const conversation = conversations[chat._id];
+          const lastMessage = conversation?.lastMessage;
+          const unreadCount = conversation?.unreadCount || 0;
+
+          if (chat.isGroup) {
+            return (
+              <button
+                key={chat._id}
+                onClick={() => setSelectedGroup(groups.find((group) => group._id === chat._id))}
+                className={`
+                  w-full p-3 flex items-center gap-3
+                  hover:bg-base-300 transition-colors
+                  ${selectedGroup?._id === chat._id ? "bg-base-300 ring-1 ring-base-300" : ""}
+                `}
+              >
+                <div className="relative mx-auto lg:mx-0">
+                  {chat.avatar ? (
+                    <img
+                      src={chat.avatar}
+                      alt={chat.name}
+                      className="size-12 object-cover rounded-full"
+                    />
+                  ) : (
+                    <div className="size-12 rounded-full bg-primary/10 flex items-center justify-center">
+                      <Users className="size-6 text-primary" />
+                    </div>
+                  )}
+                  {unreadCount > 0 && (
+                    <span className="lg:hidden absolute -top-1 -right-1 badge badge-primary badge-sm">
+                      {unreadCount}
+                    </span>
+                  )}
+                </div>
+
+                <div className="hidden lg:block text-left min-w-0 flex-1">
+                  <div className="flex items-center justify-between gap-2">
+                    <div className="font-medium truncate">{chat.name}</div>
+                    {lastMessage && (
+                      <time className="text-xs text-zinc-500 shrink-0">
+                        {formatMessageTime(lastMessage.createdAt)}
+                      </time>
+                    )}
+                  </div>
+                  <div className="flex items-center justify-between gap-2">
+                    <div className="text-sm text-zinc-400 truncate">
+                      {lastMessage
+                        ? getGroupPreview(chat, lastMessage)
+                        : `${chat.members.length} members`}
+                    </div>
+                    {unreadCount > 0 && (
+                      <span className="badge badge-primary badge-sm shrink-0">{unreadCount}</span>
+                    )}
+                  </div>
+                </div>
+              </button>
+            );
+          }
+
+          const user = chat;
+          return (
+            <button
+              key={user._id}
+              onClick={() => setSelectedUser(user)}
+              className={`
+                w-full p-3 flex items-center gap-3
+                hover:bg-base-300 transition-colors
+                ${selectedUser?._id === user._id ? "bg-base-300 ring-1 ring-base-300" : ""}
+              `}
+            >
+              <div className="relative mx-auto lg:mx-0">
+                <img
+                  src={user.profilePic || "/avatar.png"}
+                  alt={user.name}
+                  className="size-12 object-cover rounded-full"
                 />
-              )}
-            </div>
-
-            {/* User info - only visible on larger screens */}
-            <div className="hidden lg:block text-left min-w-0">
-              <div className="font-medium truncate">{user.fullName}</div>
-              <div className="text-sm text-zinc-400">
-                {onlineUsers.includes(user._id) ? "Online" : "Offline"}
+                {onlineUsers.includes(user._id) && (
+                  <span
+                    className="absolute bottom-0 right-0 size-3 bg-green-500 
+                    rounded-full ring-2 ring-zinc-900"
+                  />
+                )}
+                {/* Unread badge on the avatar when the sidebar is collapsed */}
+                {unreadCount > 0 && (
+                  <span className="lg:hidden absolute -top-1 -right-1 badge badge-primary badge-sm">
+                    {unreadCount}
+                  </span>
+                )}
               </div>
-            </div>
-          </button>
-        ))}
 
-        {filteredUsers.length === 0 && (
+              {/* User info - only visible on larger screens */}
+              <div className="hidden lg:block text-left min-w-0 flex-1">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="font-medium truncate">{user.fullName}</div>
+                  {lastMessage && (
+                    <time className="text-xs text-zinc-500 shrink-0">
+                      {formatMessageTime(lastMessage.createdAt)}
+                    </time>
+                  )}
+                </div>
+                <div className="flex items-center justify-between gap-2">
+                  <div className="text-sm text-zinc-400 truncate">
+                    {typingUsers.includes(user._id) ? (
+                      <span className="text-primary">typing…</span>
+                    ) : lastMessage ? (
+                      `${lastMessage.senderId === authUser._id ? "You: " : ""}${getMessagePreview(
+                        lastMessage
+                      )}`
+                    ) : onlineUsers.includes(user._id) ? (
+                      "Online"
+                    ) : (
+                      "Offline"
+                    )}
+                  </div>
+                  {unreadCount > 0 && (
+                    <span className="badge badge-primary badge-sm shrink-0">{unreadCount}</span>
+                  )}
+                </div>
+              </div>
+            </button>
+          );
+        })}
+
+        {filteredChats.length === 0 && (
           <div className="text-center text-zinc-500 py-4">No online users</div>
         )}
       </div>
+
+      {isCreateGroupOpen && <CreateGroupModal onClose={() => setIsCreateGroupOpen(false)} />}
+      {isScheduledOpen && <ScheduledMessagesModal onClose={() => setIsScheduledOpen(false)} />}
     </aside>
   );
 };
@@ -0,0 +1,61 @@
+import { useEffect, useRef } from "react";
+import { Loader, MessageSquareReply, X } from "lucide-react";
+
+import { useChatStore } from "../store/useChatStore";
+import MessageInput from "./MessageInput";
+
+// Side panel with a thread's root message, its replies and a composer that replies in it.
+// renderMessage draws a message the way the timeline does
+const ThreadPanel = ({ renderMessage }) => {
+  const { activeThread, isThreadLoading, closeThread, outbox } = useChatStore();
+  const repliesEndRef = useRef(null);
+
+  const replyCount = activeThread?.replies.length;
+  // Our replies still in the outbox
+  const pendingReplies = outbox
+    .filter((entry) => activeThread && entry.message.parentMessageId === activeThread.root._id)
+    .map((entry) => entry.message);
+
+  // Follow the thread as replies arrive
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [replyCount, pendingReplies.length]);
+
+  return (
+    <aside className="h-full w-80 shrink-0 border-l border-base-300 flex flex-col">
+      <div className="border-b border-base-300 w-full p-4 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <MessageSquareReply className="size-5" />
+          <span className="font-medium">Thread</span>
+        </div>
+        <button onClick={closeThread} className="p-1 hover:bg-base-300 rounded" title="Close">
+          <X className="size-4" />
+        </button>
+      </div>
+
+      {isThreadLoading || !activeThread ? (
+        <div className="flex-1 flex justify-center py-4">
+          <Loader className="size-5 animate-spin" />
+        </div>
+      ) : (
+        <>
+          <div className="flex-1 overflow-y-auto p-4 space-y-4">
+            {renderMessage(activeThread.root, { inThread: true })}
+
+            <div className="divider text-xs text-zinc-500 my-0">
+              {replyCount} {replyCount === 1 ? "reply" : "replies"}
+            </div>
+
+            {activeThread.replies.map((reply) => renderMessage(reply, { inThread: true }))}
+            {pendingReplies.map((reply) => renderMessage(reply, { inThread: true }))}
+            <div ref={repliesEndRef} />
+          </div>
+
+          <MessageInput threadRootId={activeThread.root._id} />
+        </>
+      )}
+    </aside>
+  );
+};
+
+export default ThreadPanel;
@@ -0,0 +1,25 @@
+import { X } from "lucide-react";
+
+// Progress bar for a running upload, with an optional cancel button
+const UploadProgress = ({ progress, onCancel, className = "" }) => {
+  const percent = Math.round(progress * 100);
+
+  return (
+    <div className={`flex items-center gap-2 ${className}`}>
+      <progress className="progress progress-primary flex-1" value={percent} max={100} />
+      <span className="text-xs tabular-nums w-9 text-right">{percent}%</span>
+      {onCancel && (
+        <button
+          type="button"
+          onClick={onCancel}
+          className="btn btn-ghost btn-xs btn-circle"
+          title="Cancel upload"
+        >
+          <X className="size-3" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default UploadProgress;
@@ -0,0 +1,112 @@
+import { useRef, useState } from "react";
+import { Pause, Play } from "lucide-react";
+import { formatDuration } from "../lib/utils";
+
+// The speed button cycles through these
+const PLAYBACK_RATES = [1, 1.5, 2];
+
+const VoiceNotePlayer = ({ src, duration, waveform = [] }) => {
+  const audioRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [playbackRate, setPlaybackRate] = useState(PLAYBACK_RATES[0]);
+
+  const progress = duration ? Math.min(currentTime / duration, 1) : 0;
+
+  const togglePlayback = () => {
+    if (isPlaying) {
+      audioRef.current.pause();
+    } else {
+      audioRef.current.play();
+    }
+  };
+
+  const seek = (time) => {
+    const clampedTime = Math.min(Math.max(time, 0), duration);
+    audioRef.current.currentTime = clampedTime;
+    setCurrentTime(clampedTime);
+  };
+
+  // Clicking the waveform jumps to that point of the recording
+  const handleWaveformClick = (e) => {
+    const { left, width } = e.currentTarget.getBoundingClientRect();
+    seek(((e.clientX - left) / width) * duration);
+  };
+
+  const cyclePlaybackRate = () => {
+    const nextRate =
+      PLAYBACK_RATES[(PLAYBACK_RATES.indexOf(playbackRate) + 1) % PLAYBACK_RATES.length];
+    audioRef.current.playbackRate = nextRate;
+    setPlaybackRate(nextRate);
+  };
+
+  const handleEnded = () => {
+    setIsPlaying(false);
+    setCurrentTime(0);
+  };
+
+  return (
+    <div className="flex items-center gap-2 min-w-[220px]">
+      <audio
+        ref={audioRef}
+        src={src}
+        preload="metadata"
+        onPlay={() => setIsPlaying(true)}
+        onPause={() => setIsPlaying(false)}
+        onEnded={handleEnded}
+        onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+      />
+
+      <button
+        type="button"
+        onClick={togglePlayback}
+        className="btn btn-circle btn-sm shrink-0"
+        title={isPlaying ? "Pause" : "Play"}
+      >
+        {isPlaying ? <Pause className="size-4" /> : <Play className="size-4" />}
+      </button>
+
+      <div className="flex-1 flex flex-col gap-1 min-w-0">
+        {waveform.length > 0 && (
+          <div className="flex items-center gap-px h-8 cursor-pointer" onClick={handleWaveformClick}>
+            {waveform.map((level, index) => (
+              <span
+                key={index}
+                className={`flex-1 rounded-full bg-current ${
+                  (index + 0.5) / waveform.length <= progress ? "" : "opacity-30"
+                }`}
+                style={{ height: `${Math.max(level, 0.08) * 100}%` }}
+              />
+            ))}
+          </div>
+        )}
+        <input
+          type="range"
+          className="range range-xs"
+          min={0}
+          max={duration}
+          step={0.1}
+          value={currentTime}
+          onChange={(e) => seek(Number(e.target.value))}
+          aria-label="Seek"
+        />
+      </div>
+
+      <div className="flex flex-col items-end gap-1 shrink-0">
+        <span className="text-xs tabular-nums opacity-70">
+          {formatDuration(isPlaying || currentTime > 0 ? currentTime : duration)}
+        </span>
+        <button
+          type="button"
+          onClick={cyclePlaybackRate}
+          className="btn btn-xs btn-ghost px-1"
+          title="Playback speed"
+        >
+          {playbackRate}×
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VoiceNotePlayer;
@@ -0,0 +1,241 @@
+import { useEffect, useRef, useState } from "react";
+import { Loader, Send, Square, Trash2, X } from "lucide-react";
+import { formatDuration } from "../lib/utils";
+import { useUpload } from "../hooks/useUpload";
+import VoiceNotePlayer from "./VoiceNotePlayer";
+import UploadProgress from "./UploadProgress";
+
+// Recording stops by itself after this long; the server rejects longer voice notes
+const MAX_RECORDING_SECONDS = 300;
+// Number of bars in the waveform sent with the voice note
+const WAVEFORM_BARS = 48;
+
+// Decode the recording to get its real length and the peak level of each slice,
+// scaled so the loudest bar is full height
+const analyzeRecording = async (blob) => {
+  const audioContext = new AudioContext();
+  try {
+    const buffer = await audioContext.decodeAudioData(await blob.arrayBuffer());
+    const samples = buffer.getChannelData(0);
+    const sliceSize = Math.max(1, Math.floor(samples.length / WAVEFORM_BARS));
+
+    const peaks = [];
+    for (let bar = 0; bar < WAVEFORM_BARS; bar++) {
+      let peak = 0;
+      const end = Math.min((bar + 1) * sliceSize, samples.length);
+      for (let i = bar * sliceSize; i < end; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+      }
+      peaks.push(peak);
+    }
+
+    const loudest = Math.max(...peaks) || 1;
+    return {
+      duration: buffer.duration,
+      waveform: peaks.map((peak) => Number((peak / loudest).toFixed(2))),
+    };
+  } finally {
+    audioContext.close();
+  }
+};
+
+// Give the recording a file name whose extension matches its format, e.g. "voice-note.webm"
+const toVoiceNoteFile = (blob) => {
+  const extension = blob.type.split(";")[0].split("/")[1] || "webm";
+  return new File([blob], `voice-note.${extension}`, { type: blob.type });
+};
+
+// Starts recording as soon as it mounts and uploads the recording when it is sent;
+// onSend({uploadId, duration, waveform}) resolves to true once the voice note is sent
+const VoiceRecorder = ({ onSend, onCancel }) => {
+  const [status, setStatus] = useState("starting"); // starting, recording, processing, preview, error
+  const [elapsed, setElapsed] = useState(0);
+  const [recording, setRecording] = useState(null); // {blob, url, duration, waveform}
+  const [isSending, setIsSending] = useState(false);
+  const recorderRef = useRef(null);
+  const { upload, cancel: cancelUpload, progress: uploadProgress, isUploading } = useUpload();
+
+  useEffect(() => {
+    // Set when the recorder closes; the recording is then thrown away
+    let cancelled = false;
+    let stream;
+    let startedAt;
+    let timerInterval;
+    const chunks = [];
+
+    const handleStop = async () => {
+      clearInterval(timerInterval);
+      stream.getTracks().forEach((track) => track.stop());
+      if (cancelled) return;
+
+      setStatus("processing");
+      const blob = new Blob(chunks, { type: chunks[0]?.type || "audio/webm" });
+      const fallbackDuration = (Date.now() - startedAt) / 1000;
+
+      let analysis;
+      try {
+        analysis = await analyzeRecording(blob);
+      } catch (error) {
+        console.log("Error analyzing voice note:", error);
+        analysis = { duration: fallbackDuration, waveform: [] };
+      }
+
+      setRecording({ blob, url: URL.createObjectURL(blob), ...analysis });
+      setStatus("preview");
+    };
+
+    const startRecording = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        if (cancelled) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+
+        const recorder = new MediaRecorder(stream);
+        recorder.ondataavailable = (e) => {
+          if (e.data.size > 0) chunks.push(e.data);
+        };
+        recorder.onstop = handleStop;
+        recorder.start();
+        recorderRef.current = recorder;
+
+        startedAt = Date.now();
+        timerInterval = setInterval(() => {
+          const seconds = (Date.now() - startedAt) / 1000;
+          setElapsed(seconds);
+          if (seconds >= MAX_RECORDING_SECONDS && recorder.state === "recording") {
+            recorder.stop();
+          }
+        }, 250);
+
+        setStatus("recording");
+      } catch (error) {
+        console.log("Error starting voice recording:", error);
+        setStatus("error");
+      }
+    };
+
+    startRecording();
+
+    return () => {
+      cancelled = true;
+      clearInterval(timerInterval);
+      if (recorderRef.current?.state === "recording") {
+        recorderRef.current.stop();
+      } else {
+        stream?.getTracks().forEach((track) => track.stop());
+      }
+    };
+  }, []);
+
+  // Free the preview's object URL when it is replaced or the recorder closes
+  useEffect(() => {
+    return () => {
+      if (recording) URL.revokeObjectURL(recording.url);
+    };
+  }, [recording]);
+
+  const stopRecording = () => {
+    if (recorderRef.current?.state === "recording") {
+      recorderRef.current.stop();
+    }
+  };
+
+  const handleSend = async () => {
+    setIsSending(true);
+    const uploaded = await upload(toVoiceNoteFile(recording.blob));
+    const sent =
+      Boolean(uploaded) &&
+      (await onSend({
+        uploadId: uploaded._id,
+        duration: recording.duration,
+        waveform: recording.waveform,
+      }));
+    // On failure keep the preview so the user can try again
+    if (!sent) setIsSending(false);
+  };
+
+  if (status === "error") {
+    return (
+      <div className="flex items-center gap-2 text-sm text-error">
+        <span className="flex-1">Microphone access is needed to record voice notes.</span>
+        <button type="button" onClick={onCancel} className="btn btn-sm btn-circle">
+          <X size={18} />
+        </button>
+      </div>
+    );
+  }
+
+  if (status === "preview") {
+    return (
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="btn btn-sm btn-circle text-error"
+          title="Discard voice note"
+          disabled={isSending}
+        >
+          <Trash2 size={18} />
+        </button>
+        <div className="flex-1 rounded-lg bg-base-200 px-3 py-2">
+          <VoiceNotePlayer
+            src={recording.url}
+            duration={recording.duration}
+            waveform={recording.waveform}
+          />
+          {isUploading && (
+            <UploadProgress progress={uploadProgress} onCancel={cancelUpload} className="mt-1" />
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={handleSend}
+          className="btn btn-sm btn-circle"
+          title="Send voice note"
+          disabled={isSending}
+        >
+          {isSending ? <Loader size={18} className="animate-spin" /> : <Send size={22} />}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        type="button"
+        onClick={onCancel}
+        className="btn btn-sm btn-circle"
+        title="Cancel recording"
+      >
+        <X size={18} />
+      </button>
+      <div className="flex-1 flex items-center gap-2 rounded-lg bg-base-200 px-3 py-2">
+        {status === "recording" && (
+          <span className="size-2.5 rounded-full bg-red-500 animate-pulse" />
+        )}
+        <span className="text-sm tabular-nums">
+          {status === "starting" && "Starting microphone..."}
+          {status === "recording" && `Recording ${formatDuration(Math.floor(elapsed))}`}
+          {status === "processing" && "Processing..."}
+        </span>
+        <span className="ml-auto text-xs text-zinc-500">
+          max {formatDuration(MAX_RECORDING_SECONDS)}
+        </span>
+      </div>
+      <button
+        type="button"
+        onClick={stopRecording}
+        className="btn btn-sm btn-circle text-error"
+        title="Stop and preview"
+        disabled={status !== "recording"}
+      >
+        <Square size={18} />
+      </button>
+    </div>
+  );
+};
+
+export default VoiceRecorder;
@@ -0,0 +1,51 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { getUploadSizeError, uploadFile } from "../lib/upload";
+
+// Upload one file at a time with progress and cancellation. upload(file) resolves to the
+// stored upload, or null when it failed (already reported) or was cancelled
+export const useUpload = () => {
+  const [progress, setProgress] = useState(null); // 0 to 1 while uploading, null otherwise
+  const controllerRef = useRef(null);
+
+  // Don't keep uploading for a component that is gone
+  useEffect(() => {
+    return () => controllerRef.current?.abort();
+  }, []);
+
+  const upload = useCallback(async (file) => {
+    const sizeError = getUploadSizeError(file);
+    if (sizeError) {
+      toast.error(sizeError);
+      return null;
+    }
+
+    // Starting a new upload replaces the previous one
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setProgress(0);
+
+    try {
+      return await uploadFile(file, { signal: controller.signal, onProgress: setProgress });
+    } catch (error) {
+      if (!axios.isCancel(error)) {
+        console.log("Error uploading file:", error);
+        toast.error(error.response?.data?.message || "Upload failed");
+      }
+      return null;
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setProgress(null);
+      }
+    }
+  }, []);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  return { upload, cancel, progress, isUploading: progress !== null };
+};
@@ -0,0 +1,166 @@
+import { defineObjectStore } from "./indexedDb";
+
+// End-to-end encryption of direct messages with WebCrypto. Every device has an RSA-OAEP key pair:
+// the private key is kept in IndexedDB and can't be exported, the public key is published in the
+// server's key directory. A message is encrypted with a one-off AES-GCM key, which is in turn
+// encrypted for each device of the sender and the receiver
+
+// This device's keys, one per user
+const runKeyStoreRequest = defineObjectStore({
+  dbName: "chat-device-keys",
+  storeName: "deviceKeys",
+});
+
+const RSA_PARAMS = {
+  name: "RSA-OAEP",
+  modulusLength: 2048,
+  publicExponent: new Uint8Array([1, 0, 1]),
+  hash: "SHA-256",
+};
+const AES_PARAMS = { name: "AES-GCM", length: 256 };
+const IV_BYTES = 12;
+
+const toBase64 = (buffer) => {
+  let binary = "";
+  new Uint8Array(buffer).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (base64) => Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+
+const encodeText = (text) => new TextEncoder().encode(text);
+
+// Keys are stored per user, so several accounts can use encryption in the same browser.
+// A device key is {deviceId, publicKey (base64 SPKI), privateKey (CryptoKey)}
+export const getStoredDeviceKey = (userId) =>
+  runKeyStoreRequest("readonly", (store) => store.get(userId));
+
+export const storeDeviceKey = (userId, deviceKey) =>
+  runKeyStoreRequest("readwrite", (store) => store.put(deviceKey, userId));
+
+export const removeStoredDeviceKey = (userId) =>
+  runKeyStoreRequest("readwrite", (store) => store.delete(userId));
+
+export const generateDeviceKey = async () => {
+  const { publicKey, privateKey } = await crypto.subtle.generateKey(RSA_PARAMS, false, [
+    "wrapKey",
+    "unwrapKey",
+  ]);
+  return {
+    deviceId: crypto.randomUUID(),
+    publicKey: toBase64(await crypto.subtle.exportKey("spki", publicKey)),
+    privateKey,
+  };
+};
+
+// Encrypt message content ({text, file}) for the given devices ({userId, deviceId, publicKey});
+// resolves to what the server stores as message.encrypted
+export const encryptContent = async (content, devices) => {
+  const messageKey = await crypto.subtle.generateKey(AES_PARAMS, true, ["encrypt", "decrypt"]);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    messageKey,
+    encodeText(JSON.stringify(content))
+  );
+
+  const keys = await Promise.all(
+    devices.map(async ({ userId, deviceId, publicKey }) => {
+      const deviceKey = await crypto.subtle.importKey(
+        "spki",
+        fromBase64(publicKey),
+        RSA_PARAMS,
+        false,
+        ["wrapKey"]
+      );
+      const wrappedKey = await crypto.subtle.wrapKey("raw", messageKey, deviceKey, {
+        name: "RSA-OAEP",
+      });
+      return { userId, deviceId, wrappedKey: toBase64(wrappedKey) };
+    })
+  );
+
+  return { iv: toBase64(iv), ciphertext: toBase64(ciphertext), keys };
+};
+
+// Resolves to the content of an encrypted message, or null when it wasn't encrypted for this
+// device. Rejects when the message has been tampered with
+export const decryptContent = async (encrypted, userId, deviceKey) => {
+  const entry = encrypted.keys.find(
+    (key) => key.userId === userId && key.deviceId === deviceKey.deviceId
+  );
+  if (!entry) return null;
+
+  const messageKey = await crypto.subtle.unwrapKey(
+    "raw",
+    fromBase64(entry.wrappedKey),
+    deviceKey.privateKey,
+    { name: "RSA-OAEP" },
+    AES_PARAMS,
+    false,
+    ["decrypt"]
+  );
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(encrypted.iv) },
+    messageKey,
+    fromBase64(encrypted.ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
+
+// Encrypt a file before it is uploaded. Resolves to the encrypted file, which the server stores
+// as an anonymous attachment, and the details the message's encrypted content carries to open it
+export const encryptFile = async (file) => {
+  const fileKey = await crypto.subtle.generateKey(AES_PARAMS, true, ["encrypt"]);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    fileKey,
+    await file.arrayBuffer()
+  );
+
+  return {
+    encryptedFile: new File([data], "encrypted", { type: "application/octet-stream" }),
+    fileKey: {
+      key: toBase64(await crypto.subtle.exportKey("raw", fileKey)),
+      iv: toBase64(iv),
+      name: file.name,
+      mimeType: file.type || "application/octet-stream",
+      size: file.size,
+    },
+  };
+};
+
+// Resolves to the original file of an encrypted upload, given its fileKey
+export const decryptFile = async (data, { key, iv, mimeType }) => {
+  const fileKey = await crypto.subtle.importKey("raw", fromBase64(key), AES_PARAMS, false, [
+    "decrypt",
+  ]);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(iv) },
+    fileKey,
+    data
+  );
+  return new Blob([plaintext], { type: mimeType });
+};
+
+// Fingerprint of a user's published devices; it changes whenever one is added or re-keyed
+export const getKeyFingerprint = async (devices) => {
+  const keys = devices.map(({ deviceId, publicKey }) => `${deviceId}:${publicKey}`).sort();
+  return toBase64(await crypto.subtle.digest("SHA-256", encodeText(keys.join("\n"))));
+};
+
+// Number two users compare (in person or over another channel) to check that nobody slipped
+// a key of their own into the directory: 12 groups of five digits, the same on both sides
+export const getSafetyNumber = async (fingerprintA, fingerprintB) => {
+  const digest = await crypto.subtle.digest(
+    "SHA-512",
+    encodeText([fingerprintA, fingerprintB].sort().join("\n"))
+  );
+  const view = new DataView(digest);
+  return Array.from({ length: 12 }, (_, index) =>
+    String(view.getUint32(index * 4) % 100000).padStart(5, "0")
+  );
+};
@@ -0,0 +1,28 @@
+// What the app keeps on the device beyond localStorage (encryption keys, the outbox) lives in
+// IndexedDB, one object store per database
+
+const openDatabase = ({ dbName, storeName, keyPath }) =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(storeName, keyPath ? { keyPath } : undefined);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Returns run(mode, makeRequest), which makes one request on the store ("readonly" or
+// "readwrite") and resolves to its result, e.g. run("readonly", (store) => store.get(key))
+export const defineObjectStore = (options) => async (mode, makeRequest) => {
+  const db = await openDatabase(options);
+  try {
+    return await new Promise((resolve, reject) => {
+      const store = db.transaction(options.storeName, mode).objectStore(options.storeName);
+      const request = makeRequest(store);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+};
@@ -0,0 +1,24 @@
+import { defineObjectStore } from "./indexedDb";
+
+// Messages waiting to be sent, kept on the device so that they survive going offline and reloads.
+// An entry is {clientId, userId, chatId, isGroup, data, fileKey, message, attempts, nextAttemptAt,
+// createdAt}: data is what is sent to the server and message what the timeline shows meanwhile
+const runOutboxRequest = defineObjectStore({
+  dbName: "chat-outbox",
+  storeName: "messages",
+  keyPath: "clientId",
+});
+
+// The user's entries, oldest first
+export const loadOutboxEntries = async (userId) => {
+  const entries = await runOutboxRequest("readonly", (store) => store.getAll());
+  return entries
+    .filter((entry) => entry.userId === userId)
+    .sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const storeOutboxEntry = (entry) =>
+  runOutboxRequest("readwrite", (store) => store.put(entry));
+
+export const deleteOutboxEntry = (clientId) =>
+  runOutboxRequest("readwrite", (store) => store.delete(clientId));
@@ -0,0 +1,40 @@
+import { axiosInstance } from "./axios";
+
+const MB = 1024 * 1024;
+
+// Matches the server's default limits for each kind of upload
+const UPLOAD_LIMITS = {
+  image: 10 * MB,
+  audio: 10 * MB,
+  file: 25 * MB,
+};
+
+const UPLOAD_LABELS = { image: "Images", audio: "Audio files", file: "Files" };
+
+const getUploadKind = (mimeType = "") => {
+  if (mimeType.startsWith("image/")) return "image";
+  if (mimeType.startsWith("audio/")) return "audio";
+  return "file";
+};
+
+// Checked before uploading so oversized files fail right away; returns an error message or null
+export const getUploadSizeError = (file) => {
+  const kind = getUploadKind(file.type);
+  if (file.size <= UPLOAD_LIMITS[kind]) return null;
+  return `${UPLOAD_LABELS[kind]} can be at most ${UPLOAD_LIMITS[kind] / MB} MB`;
+};
+
+// Stream a file to the server; resolves to the stored upload, whose _id messages, the profile
+// and groups refer to. onProgress gets the fraction sent so far (0 to 1)
+export const uploadFile = async (file, { onProgress, signal } = {}) => {
+  const formData = new FormData();
+  formData.append("file", file);
+
+  const res = await axiosInstance.post("/uploads", formData, {
+    signal,
+    onUploadProgress: (event) => {
+      if (event.total) onProgress?.(event.loaded / event.total);
+    },
+  });
+  return res.data;
+};
@@ -4,4 +4,115 @@ export function formatMessageTime(date) {
     minute: "2-digit",
     hour12: false,
   });
-}
\ No newline at end of file
+}
+
+// Length of a disappearing message timer, e.g. "1 hour" or "7 days"
+export function formatTimerDuration(seconds) {
+  const isDays = seconds % (24 * 60 * 60) === 0;
+  const amount = isDays ? seconds / (24 * 60 * 60) : seconds / (60 * 60);
+  const unit = isDays ? "day" : "hour";
+  return `${amount} ${unit}${amount === 1 ? "" : "s"}`;
+}
+
+// What a notice written into the chat by the app says, e.g. about the disappearing timer
+export function describeSystemEvent({ kind, disappearAfterSeconds }) {
+  if (kind !== "disappearingTimerChanged") return "";
+  return disappearAfterSeconds
+    ? `set disappearing messages to ${formatTimerDuration(disappearAfterSeconds)}`
+    : "turned off disappearing messages";
+}
+
+// One-line summary of a message for the conversation list
+export function getMessagePreview(message) {
+  if (message.systemEvent?.kind) {
+    const { disappearAfterSeconds } = message.systemEvent;
+    return disappearAfterSeconds
+      ? `⏱️ Disappearing messages: ${formatTimerDuration(disappearAfterSeconds)}`
+      : "⏱️ Disappearing messages off";
+  }
+  if (message.deletedAt) return "This message was deleted";
+  // Shown decrypted only where it was decrypted for display (see useEncryptionStore)
+  if (message.encrypted && !message.isDecrypted) return "🔒 Encrypted message";
+  if (message.text) return message.text;
+  if (message.image) return "📷 Photo";
+  if (message.audio) return "🎤 Voice message";
+  if (message.attachment) return `📎 ${message.attachment.name}`;
+  return "";
+}
+
+// Human-readable file size, e.g. "1.4 MB"
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Length of a recording as m:ss
+export function formatDuration(seconds) {
+  const totalSeconds = Math.max(0, Math.round(seconds));
+  const minutes = Math.floor(totalSeconds / 60);
+  return `${minutes}:${String(totalSeconds % 60).padStart(2, "0")}`;
+}
+
+export function formatMessageDate(date) {
+  return new Date(date).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+// Local date and time in the format of <input type="datetime-local">, e.g. "2024-05-01T09:30"
+export function toDateTimeInputValue(date) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000);
+  return local.toISOString().slice(0, 16);
+}
+
+// Split text into segments, flagging words that start with one of the search terms
+export function splitByTerms(text, terms) {
+  const escapedTerms = terms
+    .filter(Boolean)
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  if (!text || escapedTerms.length === 0) return [{ text: text || "", match: false }];
+
+  const pattern = new RegExp(`(\\b(?:${escapedTerms.join("|")})\\w*)`, "gi");
+  // With a capturing pattern, split puts the matches at the odd indexes
+  return text
+    .split(pattern)
+    .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+    .filter((segment) => segment.text);
+}
+
+const LINK_PATTERN = /(\bhttps?:\/\/[^\s<>"]+)/gi;
+// Punctuation that usually ends the sentence rather than the link; the server trims the same way
+const TRAILING_PUNCTUATION = /[.,!?;:'"\]]+$/;
+
+// The link without the punctuation that follows it; a closing parenthesis is kept only when the
+// link has an opening one, as in .../Foo_(bar)
+const trimLink = (link) => {
+  const trimmed = link.replace(TRAILING_PUNCTUATION, "");
+  return trimmed.endsWith(")") && !trimmed.includes("(") ? trimmed.slice(0, -1) : trimmed;
+};
+
+// Split text into plain and link segments: [{text, href?}]
+export function splitByLinks(text) {
+  if (!text) return [];
+
+  const segments = [];
+  // With a capturing pattern, split puts the links at the odd indexes
+  text.split(LINK_PATTERN).forEach((part, index) => {
+    if (index % 2 === 0) {
+      if (part) segments.push({ text: part });
+      return;
+    }
+
+    const link = trimLink(part);
+    segments.push({ text: link, href: link });
+    if (part.length > link.length) segments.push({ text: part.slice(link.length) });
+  });
+  return segments;
+}
+
+export function findFirstLink(text) {
+  return splitByLinks(text).find((segment) => segment.href)?.href || null;
+}
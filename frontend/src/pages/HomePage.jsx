@@ -1,15 +1,43 @@
+import { useEffect } from "react";
 import { useChatStore } from "../store/useChatStore";
 import { useAuthStore } from "../store/useAuthStore";
+import { useSearchStore } from "../store/useSearchStore";
+import { useCallStore } from "../store/useCallStore";
+import { useScheduledMessageStore } from "../store/useScheduledMessageStore";
 
 import Sidebar from "../components/Sidebar";
 import NoChatSelected from "../components/NoChatSelected";
 import ChatContainer from "../components/ChatContainer";
+import SearchPanel from "../components/SearchPanel";
 import VideoCall from "../components/VideoCall";
 
 const HomePage = () => {
-  const { selectedUser } = useChatStore();
-  // Destructure callAccepted, callEnded, and receivingCall from useAuthStore
-  const { callAccepted, callEnded, receivingCall } = useAuthStore(); 
+  const { selectedUser, selectedGroup, retryOutboxNow } = useChatStore();
+  const { socket } = useAuthStore();
+  const { subscribeToCalls, unsubscribeFromCalls } = useCallStore();
+  const { isSearchOpen } = useSearchStore();
+  const { subscribeToScheduledMessages, unsubscribeFromScheduledMessages } =
+    useScheduledMessageStore();
+
+  useEffect(() => {
+    if (!socket) return;
+    subscribeToCalls();
+
+    return () => unsubscribeFromCalls();
+  }, [socket, subscribeToCalls, unsubscribeFromCalls]);
+
+  useEffect(() => {
+    if (!socket) return;
+    subscribeToScheduledMessages();
+
+    return () => unsubscribeFromScheduledMessages();
+  }, [socket, subscribeToScheduledMessages, unsubscribeFromScheduledMessages]);
+
+  // Messages waiting in the outbox go out as soon as the connection is back
+  useEffect(() => {
+    window.addEventListener("online", retryOutboxNow);
+    return () => window.removeEventListener("online", retryOutboxNow);
+  }, [retryOutboxNow]);
 
   return (
     <div className="h-screen bg-base-200">
@@ -17,15 +45,13 @@ const HomePage = () => {
         <div className="bg-base-100 rounded-lg shadow-cl w-full max-w-6xl h-[calc(100vh-8rem)]">
           <div className="flex h-full rounded-lg overflow-hidden">
             <Sidebar />
-            {!selectedUser ? <NoChatSelected /> : <ChatContainer />}
+            {isSearchOpen && <SearchPanel />}
+            {!selectedUser && !selectedGroup ? <NoChatSelected /> : <ChatContainer />}
           </div>
         </div>
       </div>
-      {/* Conditionally render VideoCall component based on call states */}
-      {/* It will show if a call is being received OR if a call is accepted and not yet ended */}
-      {(receivingCall || (callAccepted && !callEnded)) && (
-        <VideoCall onCallEnd={() => {}} />
-      )}
+      {/* Renders the incoming call prompt or the call itself, and nothing otherwise */}
+      <VideoCall />
     </div>
   );
 };
@@ -1,24 +1,48 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { useAuthStore } from "../store/useAuthStore";
-import { Camera, Mail, User } from "lucide-react";
+import { useEncryptionStore } from "../store/useEncryptionStore";
+import { useUpload } from "../hooks/useUpload";
+import { Camera, Lock, Mail, User } from "lucide-react";
+import UploadProgress from "../components/UploadProgress";
 
 const ProfilePage = () => {
   const { authUser, isUpdatingProfile, updateProfile } = useAuthStore();
   const [selectedImg, setSelectedImg] = useState(null);
+  const { upload, cancel, progress, isUploading } = useUpload();
+  const { deviceKey, isUpdatingEncryption, enableEncryption, disableEncryption } =
+    useEncryptionStore();
+
+  // Free the preview's object URL when it is replaced or the page closes
+  useEffect(() => {
+    return () => {
+      if (selectedImg) URL.revokeObjectURL(selectedImg);
+    };
+  }, [selectedImg]);
 
   const handleImageUpload = async (e) => {
     const file = e.target.files[0];
+    e.target.value = "";
     if (!file) return;
 
-    const reader = new FileReader();
+    setSelectedImg(URL.createObjectURL(file));
+    const uploaded = await upload(file);
+    if (!uploaded) {
+      setSelectedImg(null);
+      return;
+    }
+    await updateProfile({ uploadId: uploaded._id });
+  };
 
-    reader.readAsDataURL(file);
+  const isBusy = isUploading || isUpdatingProfile;
 
-    reader.onload = async () => {
-      const base64Image = reader.result;
-      setSelectedImg(base64Image);
-      await updateProfile({ profilePic:base64Image });
-    };
+  const handleDisableEncryption = () => {
+    if (
+      window.confirm(
+        "Encrypted messages you received on this device can no longer be read here. Turn off?"
+      )
+    ) {
+      disableEncryption();
+    }
   };
 
   return (
@@ -46,7 +70,7 @@ const ProfilePage = () => {
                   bg-base-content hover:scale-105
                   p-2 rounded-full cursor-pointer 
                   transition-all duration-200
-                  ${isUpdatingProfile ? "animate-pulse pointer-events-none" : ""}
+                  ${isBusy ? "animate-pulse pointer-events-none" : ""}
                 `}
               >
                 <Camera className="w-5 h-5 text-base-200" />
@@ -56,13 +80,17 @@ const ProfilePage = () => {
                   className="hidden"
                   accept="image/*"
                   onChange={handleImageUpload}
-                  disabled={isUpdatingProfile}
+                  disabled={isBusy}
                 />
               </label>
             </div>
-            <p className="text-sm text-zinc-400">
-              {isUpdatingProfile ? "Uploading..." : "Click the camera icon to update your photo"}
-            </p>
+            {isUploading ? (
+              <UploadProgress progress={progress} onCancel={cancel} className="w-64" />
+            ) : (
+              <p className="text-sm text-zinc-400">
+                {isUpdatingProfile ? "Saving..." : "Click the camera icon to update your photo"}
+              </p>
+            )}
           </div>
 
           <div className="space-y-6">
@@ -96,6 +124,28 @@ const ProfilePage = () => {
               </div>
             </div>
           </div>
+
+          <div className="mt-6 bg-base-300 rounded-xl p-6">
+            <h2 className="text-lg font-medium mb-4 flex items-center gap-2">
+              <Lock className="size-5" />
+              End-to-end encryption
+            </h2>
+            <p className="text-sm text-zinc-400 mb-4">
+              {deviceKey
+                ? "On for this device. Direct messages with people who also turned it on are " +
+                  "encrypted, and only your devices and theirs can read them."
+                : "Turn it on to encrypt your direct messages with people who also have. Each " +
+                  "device you use needs it turned on to read them."}
+            </p>
+            <button
+              type="button"
+              className={`btn btn-sm ${deviceKey ? "btn-outline btn-error" : "btn-primary"}`}
+              onClick={deviceKey ? handleDisableEncryption : enableEncryption}
+              disabled={isUpdatingEncryption}
+            >
+              {deviceKey ? "Turn off on this device" : "Turn on for this device"}
+            </button>
+          </div>
         </div>
       </div>
     </div>
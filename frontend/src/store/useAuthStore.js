@@ -5,6 +5,9 @@ import { io } from "socket.io-client";
 
 const BASE_URL = import.meta.env.MODE === "development" ? "http://localhost:5001" : "/";
 
+// Refused as a matter of course, e.g. typing in a chat that has no messages yet, so not shown
+const SILENT_EVENT_ERRORS = ["typingStart", "typingStop"];
+
 export const useAuthStore = create((set, get) => ({
   authUser: null,
   isSigningUp: false,
@@ -12,15 +15,9 @@ export const useAuthStore = create((set, get) => ({
   isUpdatingProfile: false,
   isCheckingAuth: true,
   onlineUsers: [],
+  typingUsers: [], // IDs of users currently typing to us
   socket: null,
 
-  callAccepted: false,
-  callEnded: false,
-  caller: {},
-  receivingCall: false,
-  stream: null, // This stream is not directly used in VideoCall, it's managed locally there.
-  callSignal: null,
-
   checkAuth: async () => {
     try {
       const res = await axiosInstance.get("/auth/check");
@@ -73,6 +70,15 @@ export const useAuthStore = create((set, get) => ({
     }
   },
 
+  // The server no longer accepts our session, e.g. because the cookie expired: back to login
+  expireSession: () => {
+    if (!get().authUser) return;
+    // Make sure the socket doesn't try again with the old session
+    get().socket?.disconnect();
+    set({ authUser: null, typingUsers: [] });
+    toast.error("Your session has expired. Please log in again");
+  },
+
   updateProfile: async (data) => {
     set({ isUpdatingProfile: true });
     try {
@@ -91,161 +97,71 @@ export const useAuthStore = create((set, get) => ({
     const { authUser } = get();
     if (!authUser || get().socket?.connected) return;
 
-    // Initialize socket connection with user ID
+    // Initialize socket connection; the server knows the user from the auth cookie
     const socket = io(BASE_URL, {
-      query: {
-        userId: authUser._id,
-      },
+      withCredentials: true,
     });
     socket.connect();
 
     set({ socket: socket });
 
-    // Listen for online users updates
-    socket.on("getOnlineUsers", (userIds) => {
-      set({ onlineUsers: userIds });
+    // Refused by the server, which the client doesn't retry, or unreachable, which it does
+    socket.on("connect_error", (error) => {
+      console.log("Socket connection error:", error.message);
+      if ([401, 404].includes(error.data?.status)) get().expireSession();
     });
 
-    // WebRTC signaling event listeners
-    socket.on("callUser", ({ from, name, signal }) => {
-      // Set state for incoming call
-      set({
-        receivingCall: true,
-        caller: { from, name },
-        callSignal: signal,
-        callAccepted: false,
-        callEnded: false,
-      });
+    // One of our events was refused: {event, status, message}
+    socket.on("eventError", ({ event, message }) => {
+      console.log("Socket event error:", event, message);
+      if (!SILENT_EVENT_ERRORS.includes(event)) toast.error(message);
     });
 
-    socket.on("callAccepted", (signal) => {
-      // Set state when call is accepted by the remote peer
-      set({ callAccepted: true, callSignal: signal });
+    // Listen for online users updates
+    socket.on("getOnlineUsers", (userIds) => {
+      set({ onlineUsers: userIds });
     });
 
-    socket.on("callEnded", () => {
-      // Reset call state when call ends
-      set({ 
-        callEnded: true, 
-        callAccepted: false, 
-        receivingCall: false, 
-        caller: {}, 
-        callSignal: null 
-      });
+    // Acknowledge every incoming message so the sender sees it as delivered,
+    // whether or not its conversation is currently open
+    socket.on("newMessage", (newMessage) => {
+      // Receipts are only tracked for direct messages
+      if (newMessage.receiverId) {
+        socket.emit("messageDelivered", { messageId: newMessage._id });
+      }
+      // The message has arrived, so its author is no longer typing it
+      set({ typingUsers: get().typingUsers.filter((id) => id !== newMessage.senderId) });
     });
 
-    socket.on("callRejected", () => {
-      // Handle call rejection by the remote peer
-      toast.error("Call rejected by user");
-      set({ 
-        callEnded: true, // Treat as ended for cleanup
-        callAccepted: false, 
-        receivingCall: false, 
-        caller: {}, 
-        callSignal: null 
-      });
+    // Typing indicators relayed from conversation partners
+    socket.on("typingStart", ({ from }) => {
+      if (!get().typingUsers.includes(from)) {
+        set({ typingUsers: [...get().typingUsers, from] });
+      }
     });
 
-    // ICE candidate handling will be done in the component (VideoCall.jsx)
-    socket.on("iceCandidate", (candidate) => {
-      // This event is primarily handled within the RTCPeerConnection in VideoCall component
-      // No direct state update needed here, but the event needs to be listened for.
+    socket.on("typingStop", ({ from }) => {
+      set({ typingUsers: get().typingUsers.filter((id) => id !== from) });
     });
   },
 
   disconnectSocket: () => {
     if (get().socket?.connected) get().socket.disconnect();
+    set({ typingUsers: [] });
   },
 
-  // Action to initiate a call
-  callUser: (userToCall, signalData, name) => {
-    const socket = get().socket;
-    const { authUser } = get();
-    if (socket && authUser) {
-      socket.emit("callUser", {
-        userToCall,
-        signalData,
-        from: authUser._id,
-        name: authUser.fullName,
-      });
-
-      // Set caller information and signal data for the initiating user
-      set({
-        caller: { from: userToCall, name },
-        receivingCall: false, // Not receiving, but initiating
-        callSignal: signalData,
-      });
-
-      // Add timeout logic for unanswered calls
-      setTimeout(() => {
-        if (!get().callAccepted && !get().callEnded) { // Check if call is still active
-          toast.error("Call not answered");
-          get().endCall(); // End the call if not answered within timeout
-        }
-      }, 15000); // 15 seconds timeout
-    }
-  },
-
-  // Action to answer an incoming call
-  answerCall: (signal) => {
-    const socket = get().socket;
-    const { caller } = get();
-    if (socket && caller.from) {
-      socket.emit("answerCall", { signal, to: caller.from });
-      set({ callAccepted: true }); // Mark call as accepted
-    }
-  },
-
-  // Action to send ICE candidates
-  sendIceCandidate: (candidate, to) => {
+  // Let the conversation partner know we are typing
+  startTyping: (to) => {
     const socket = get().socket;
     if (socket && to) {
-      socket.emit("iceCandidate", { candidate, to });
-    }
-  },
-
-  // Action to end a call
-  endCall: () => {
-    const socket = get().socket;
-    const { caller } = get();
-    
-    // Emit "endCall" event to the other peer if a caller is set
-    if (socket && caller.from) {
-      socket.emit("endCall", { to: caller.from });
+      socket.emit("typingStart", { to });
     }
-    
-    // Reset all call-related states
-    set({ 
-      callEnded: true, 
-      callAccepted: false, 
-      receivingCall: false, 
-      caller: {}, 
-      callSignal: null 
-    });
   },
 
-  // Action to reject an incoming call
-  rejectCall: () => {
+  stopTyping: (to) => {
     const socket = get().socket;
-    const { caller } = get();
-    if (socket && caller.from) {
-      socket.emit("rejectCall", { to: caller.from }); // Emit reject event
-      set({ 
-        receivingCall: false, 
-        caller: {}, 
-        callSignal: null 
-      });
+    if (socket && to) {
+      socket.emit("typingStop", { to });
     }
   },
-
-  // Reset all call-related states (useful for cleanup)
-  resetCallState: () => {
-    set({
-      callAccepted: false,
-      callEnded: false,
-      caller: {},
-      receivingCall: false,
-      callSignal: null,
-    });
-  },
 }));
@@ -0,0 +1,359 @@
+import { create } from "zustand";
+import toast from "react-hot-toast";
+import { useAuthStore } from "./useAuthStore";
+
+const ICE_SERVERS = [
+  { urls: "stun:stun.l.google.com:19302" },
+  { urls: "stun:stun1.l.google.com:19302" },
+  { urls: "stun:stun2.l.google.com:19302" },
+];
+
+// Hang up a call we started if nobody has joined it by then
+const RING_TIMEOUT_MS = 30000;
+
+const CALL_EVENTS = [
+  "incomingCall",
+  "callJoined",
+  "callParticipantJoined",
+  "callParticipantLeft",
+  "callSignal",
+  "callMediaState",
+  "callDeclined",
+  "callUpdated",
+  "callFailed",
+];
+
+// One connection per remote participant in the current call; the mesh is not React state
+let peerConnections = {}; // {userId: RTCPeerConnection}
+// Participants we sent the offer to, so we know who restarts ICE when a link fails
+let offeredPeers = new Set();
+// ICE candidates that arrived before the remote description {userId: [candidate]}
+let pendingCandidates = {};
+let ringTimeout = null;
+
+const emit = (event, payload) => useAuthStore.getState().socket?.emit(event, payload);
+
+export const useCallStore = create((set, get) => ({
+  incomingCall: null, // {callId, conversationId, isGroup, invitedUserIds, from}
+  pendingJoin: null, // what to send once the camera is ready: {to}, {conversationId} or {callId}
+  activeCall: null, // {callId, conversationId, isGroup, invitedUserIds, joinedAt}
+  ongoingCalls: {}, // calls we are invited to and could join {callId: {..., participantIds}}
+  localStream: null,
+  participants: {}, // remote participants {userId: {stream, audioEnabled, videoEnabled, connectionState}}
+  audioEnabled: true,
+  videoEnabled: true,
+
+  // The call in progress in a direct chat or group, if any
+  getCallForChat: (chat) =>
+    Object.values(get().ongoingCalls).find((call) =>
+      chat.type === "group"
+        ? call.conversationId === chat._id
+        : !call.isGroup && call.invitedUserIds.includes(chat._id)
+    ),
+
+  // Call a user directly, or everyone in a group (type "group")
+  startCall: (chat) => {
+    if (get().activeCall || get().pendingJoin) return;
+    set({
+      pendingJoin: chat.type === "group" ? { conversationId: chat._id } : { to: chat._id },
+      incomingCall: null,
+    });
+  },
+
+  answerCall: () => {
+    const { incomingCall } = get();
+    if (!incomingCall) return;
+    set({ pendingJoin: { callId: incomingCall.callId }, incomingCall: null });
+  },
+
+  // Join a call that is already in progress
+  joinCall: (callId) => {
+    if (get().activeCall || get().pendingJoin) return;
+    set({ pendingJoin: { callId }, incomingCall: null });
+  },
+
+  declineCall: () => {
+    const { incomingCall } = get();
+    if (!incomingCall) return;
+    emit("declineCall", { callId: incomingCall.callId });
+    set({ incomingCall: null });
+  },
+
+  // Called by the call screen once the camera and microphone are available
+  connectCall: (stream) => {
+    const { pendingJoin } = get();
+    if (!pendingJoin) return;
+
+    const audioEnabled = stream.getAudioTracks().some((track) => track.enabled);
+    const videoEnabled = stream.getVideoTracks().some((track) => track.enabled);
+    set({ localStream: stream, audioEnabled, videoEnabled });
+
+    emit(pendingJoin.callId ? "joinCall" : "startCall", {
+      ...pendingJoin,
+      audioEnabled,
+      videoEnabled,
+    });
+  },
+
+  leaveCall: () => {
+    if (get().activeCall) emit("leaveCall");
+    get().resetCall();
+  },
+
+  // Close every connection and release the camera
+  resetCall: () => {
+    Object.values(peerConnections).forEach((pc) => pc.close());
+    peerConnections = {};
+    offeredPeers = new Set();
+    pendingCandidates = {};
+    clearTimeout(ringTimeout);
+
+    get().localStream?.getTracks().forEach((track) => track.stop());
+    set({
+      pendingJoin: null,
+      activeCall: null,
+      localStream: null,
+      participants: {},
+      audioEnabled: true,
+      videoEnabled: true,
+    });
+  },
+
+  toggleAudio: () => {
+    const { localStream, audioEnabled } = get();
+    if (!localStream) return;
+    localStream.getAudioTracks().forEach((track) => (track.enabled = !audioEnabled));
+    set({ audioEnabled: !audioEnabled });
+    get().broadcastMediaState();
+  },
+
+  toggleVideo: () => {
+    const { localStream, videoEnabled } = get();
+    if (!localStream) return;
+    localStream.getVideoTracks().forEach((track) => (track.enabled = !videoEnabled));
+    set({ videoEnabled: !videoEnabled });
+    get().broadcastMediaState();
+  },
+
+  broadcastMediaState: () => {
+    const { activeCall, audioEnabled, videoEnabled } = get();
+    if (activeCall) {
+      emit("callMediaState", { callId: activeCall.callId, audioEnabled, videoEnabled });
+    }
+  },
+
+  updateParticipant: (userId, changes) => {
+    const participant = get().participants[userId];
+    if (!participant) return;
+    set({ participants: { ...get().participants, [userId]: { ...participant, ...changes } } });
+  },
+
+  removeParticipant: (userId) => {
+    peerConnections[userId]?.close();
+    delete peerConnections[userId];
+    delete pendingCandidates[userId];
+    offeredPeers.delete(userId);
+
+    const participants = { ...get().participants };
+    delete participants[userId];
+    set({ participants });
+  },
+
+  createPeerConnection: (userId) => {
+    const { localStream, activeCall } = get();
+    const pc = new RTCPeerConnection({ iceServers: ICE_SERVERS, iceCandidatePoolSize: 10 });
+    peerConnections[userId] = pc;
+
+    localStream.getTracks().forEach((track) => pc.addTrack(track, localStream));
+
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        emit("callSignal", { callId: activeCall.callId, to: userId, candidate: event.candidate });
+      }
+    };
+
+    pc.ontrack = (event) => {
+      get().updateParticipant(userId, { stream: event.streams[0] });
+    };
+
+    pc.onconnectionstatechange = () => {
+      get().updateParticipant(userId, { connectionState: pc.connectionState });
+      // The side that made the original offer renegotiates a dropped link
+      if (pc.connectionState === "failed" && offeredPeers.has(userId)) {
+        get().sendOffer(userId, { iceRestart: true });
+      }
+    };
+
+    return pc;
+  },
+
+  sendOffer: async (userId, options) => {
+    const pc = peerConnections[userId] || get().createPeerConnection(userId);
+    offeredPeers.add(userId);
+    try {
+      await pc.setLocalDescription(await pc.createOffer(options));
+      emit("callSignal", {
+        callId: get().activeCall.callId,
+        to: userId,
+        description: pc.localDescription,
+      });
+    } catch (error) {
+      console.log("Error creating call offer:", error);
+    }
+  },
+
+  handleCallSignal: async ({ from, description, candidate }) => {
+    try {
+      if (description) {
+        const pc = peerConnections[from] || get().createPeerConnection(from);
+        await pc.setRemoteDescription(description);
+
+        (pendingCandidates[from] || []).forEach((queued) => pc.addIceCandidate(queued));
+        delete pendingCandidates[from];
+
+        if (description.type === "offer") {
+          await pc.setLocalDescription(await pc.createAnswer());
+          emit("callSignal", {
+            callId: get().activeCall.callId,
+            to: from,
+            description: pc.localDescription,
+          });
+        }
+      } else if (candidate) {
+        const pc = peerConnections[from];
+        if (pc?.remoteDescription) {
+          await pc.addIceCandidate(candidate);
+        } else {
+          (pendingCandidates[from] ||= []).push(candidate);
+        }
+      }
+    } catch (error) {
+      console.log("Error handling call signal:", error);
+    }
+  },
+
+  // Packet counters of every incoming stream across the mesh, for the connection quality
+  // indicator: {"userId:reportId": {packetsLost, packetsReceived}}, totals since the stream began
+  getPacketStats: async () => {
+    const packetStats = {};
+    for (const [userId, pc] of Object.entries(peerConnections)) {
+      const stats = await pc.getStats();
+      stats.forEach((report) => {
+        if (report.type !== "inbound-rtp") return;
+        packetStats[`${userId}:${report.id}`] = {
+          packetsLost: report.packetsLost || 0,
+          packetsReceived: report.packetsReceived || 0,
+        };
+      });
+    }
+    return packetStats;
+  },
+
+  subscribeToCalls: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    socket.on("incomingCall", (call) => {
+      // Busy; the call still shows up in the conversation so it can be joined later
+      if (get().activeCall || get().pendingJoin) return;
+      set({ incomingCall: call });
+    });
+
+    socket.on("callJoined", ({ participants, ...call }) => {
+      const startedCall = !get().pendingJoin?.callId;
+      set({
+        activeCall: { ...call, joinedAt: Date.now() },
+        pendingJoin: null,
+        participants: Object.fromEntries(
+          participants.map(({ userId, audioEnabled, videoEnabled }) => [
+            userId,
+            { stream: null, audioEnabled, videoEnabled, connectionState: "new" },
+          ])
+        ),
+      });
+
+      // Whoever joins offers a connection to everyone already in the call
+      participants.forEach(({ userId }) => get().sendOffer(userId));
+
+      if (startedCall && participants.length === 0) {
+        ringTimeout = setTimeout(() => {
+          if (Object.keys(get().participants).length === 0) {
+            toast.error("Call not answered");
+            get().leaveCall();
+          }
+        }, RING_TIMEOUT_MS);
+      }
+    });
+
+    socket.on("callParticipantJoined", ({ callId, userId, audioEnabled, videoEnabled }) => {
+      if (get().activeCall?.callId !== callId) return;
+      clearTimeout(ringTimeout);
+      set({
+        participants: {
+          ...get().participants,
+          [userId]: { stream: null, audioEnabled, videoEnabled, connectionState: "new" },
+        },
+      });
+    });
+
+    socket.on("callParticipantLeft", ({ callId, userId }) => {
+      const { activeCall } = get();
+      if (activeCall?.callId !== callId) return;
+      get().removeParticipant(userId);
+
+      // A direct call is over once the other person hangs up
+      if (!activeCall.isGroup && Object.keys(get().participants).length === 0) {
+        toast("Call ended");
+        get().leaveCall();
+      }
+    });
+
+    socket.on("callSignal", (signal) => {
+      if (get().activeCall?.callId !== signal.callId) return;
+      get().handleCallSignal(signal);
+    });
+
+    socket.on("callMediaState", ({ callId, userId, audioEnabled, videoEnabled }) => {
+      if (get().activeCall?.callId !== callId) return;
+      get().updateParticipant(userId, { audioEnabled, videoEnabled });
+    });
+
+    socket.on("callDeclined", ({ callId }) => {
+      const { activeCall, participants } = get();
+      if (activeCall?.callId !== callId || activeCall.isGroup) return;
+      if (Object.keys(participants).length === 0) {
+        toast.error("Call rejected by user");
+        get().leaveCall();
+      }
+    });
+
+    socket.on("callUpdated", (call) => {
+      const ongoingCalls = { ...get().ongoingCalls };
+      if (call.participantIds.length > 0) {
+        ongoingCalls[call.callId] = call;
+      } else {
+        delete ongoingCalls[call.callId];
+      }
+
+      // Stop ringing if the caller gave up
+      const incomingCall = get().incomingCall;
+      const callEnded = incomingCall?.callId === call.callId && call.participantIds.length === 0;
+      set({ ongoingCalls, incomingCall: callEnded ? null : incomingCall });
+    });
+
+    // With a callId, we were put out of the call we are in (e.g. removed from the group)
+    socket.on("callFailed", ({ reason, callId }) => {
+      toast.error(reason);
+      if (!get().activeCall || callId === get().activeCall.callId) get().resetCall();
+    });
+
+    // Calls that started before we subscribed
+    socket.emit("getActiveCalls");
+  },
+
+  unsubscribeFromCalls: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+    CALL_EVENTS.forEach((event) => socket.off(event));
+  },
+}));
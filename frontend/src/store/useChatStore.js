@@ -2,13 +2,120 @@ import { create } from "zustand";
 import toast from "react-hot-toast";
 import { axiosInstance } from "../lib/axios";
 import { useAuthStore } from "./useAuthStore";
+import { useEncryptionStore } from "./useEncryptionStore";
+import { deleteOutboxEntry, loadOutboxEntries, storeOutboxEntry } from "../lib/outbox";
+
+const MESSAGE_PAGE_SIZE = 30;
+const HIGHLIGHT_DURATION_MS = 2000;
+// Messages that can't be sent for now are tried again after 1s, 2s, 4s... up to a minute
+const OUTBOX_RETRY_BASE_MS = 1000;
+const OUTBOX_RETRY_MAX_MS = 60 * 1000;
+// After this many tries a message is marked failed, for the user to retry or discard
+const MAX_SEND_ATTEMPTS = 8;
+// How long a message sent over the socket may wait for the server's acknowledgement
+const SOCKET_SEND_TIMEOUT_MS = 10 * 1000;
+// Messages are emitted a moment after they get their time, so one can arrive after a newer one
+// from another chat; a sync starts this long before the newest message seen to catch those too
+const SYNC_OVERLAP_MS = 60 * 1000;
+// How many of the latest message IDs are remembered, to count a message that arrives twice once
+const SEEN_MESSAGE_IDS_LIMIT = 500;
+// Why a message of an encrypted chat was held back; retrying it sends it unencrypted
+const ENCRYPTION_TURNED_OFF_ERROR = "The other user turned off encryption. Retry to send it anyway";
+
+// Listener registered by subscribeToMessages, kept so that only it is removed
+// on unsubscribe and other "newMessage" listeners stay attached
+let newMessageListener = null;
+// Same, for the listener that keeps the conversation list up to date
+let conversationListener = null;
+// Listener for the socket coming back after a dropped connection
+let reconnectListener = null;
+
+// Time of the newest stored message seen in each chat, {chatKey: createdAt}. Whatever was sent
+// from around the latest of them while the socket was down has to be fetched once it reconnects
+let lastMessageTimes = {};
+
+const noteMessageTime = (chatKey, createdAt) => {
+  const lastTime = lastMessageTimes[chatKey];
+  if (!lastTime || new Date(createdAt) > new Date(lastTime)) {
+    lastMessageTimes[chatKey] = createdAt;
+  }
+};
+
+// IDs of the latest messages seen, oldest first: one that comes both from a sync and as a
+// "newMessage", or from two overlapping syncs, only updates the preview and unread count once
+let seenMessageIds = new Set();
+
+const markMessageSeen = (messageId) => {
+  seenMessageIds.add(messageId);
+  if (seenMessageIds.size > SEEN_MESSAGE_IDS_LIMIT) {
+    seenMessageIds.delete(seenMessageIds.values().next().value);
+  }
+};
+
+// The latest of some message times (ISO strings)
+const latestTime = (times) =>
+  times.reduce((latest, time) => (new Date(time) > new Date(latest) ? time : latest));
+
+// Set while the outbox is being sent, so that only one pass runs at a time
+let isFlushingOutbox = false;
+// Next pass over the outbox, waiting for a message's retry delay
+let outboxRetryTimeout = null;
+
+// Send a message over the socket and resolve to the saved message. Refusals reject the way axios
+// does, with the status and message under error.response, so both transports are handled alike
+const emitMessage = async (socket, chatId, data) => {
+  const { message, error } = await socket
+    .timeout(SOCKET_SEND_TIMEOUT_MS)
+    .emitWithAck("message:send", { chatId, ...data });
+  if (error) {
+    throw Object.assign(new Error(error.message), {
+      response: { status: error.status, data: { message: error.message } },
+    });
+  }
+  return message;
+};
+
+// Group messages carry a conversation but no single receiver
+const isGroupMessage = (message) => !message.receiverId;
+
+// Key of the chat a message belongs to: the group ID, or the other user of a direct chat
+const getChatKey = (message, myId) => {
+  if (isGroupMessage(message)) return message.conversationId;
+  return message.senderId === myId ? message.receiverId : message.senderId;
+};
+
+// ID of the open chat, used in the messages API for both direct chats and groups
+const getSelectedChatId = ({ selectedUser, selectedGroup }) =>
+  selectedGroup?._id || selectedUser?._id;
+
+// Merge receipt timestamps into the matching messages
+const applyReceipt = (messages, messageIds, update) => {
+  const ids = new Set(messageIds);
+  return messages.map((message) => (ids.has(message._id) ? { ...message, ...update } : message));
+};
+
+// Apply an update to every message of the open thread (its root and replies)
+const mapThread = (thread, update) =>
+  thread && { root: update(thread.root), replies: thread.replies.map(update) };
 
 export const useChatStore = create((set, get) => ({
   messages: [],
   users: [],
+  groups: [],
+  conversations: {}, // {partnerId or groupId: {lastMessage, unreadCount}}
   selectedUser: null,
+  selectedGroup: null,
   isUsersLoading: false,
   isMessagesLoading: false,
+  isOlderMessagesLoading: false,
+  hasMoreMessages: false,
+  jumpTargetId: null, // message to bring into view once it is loaded
+  highlightedMessageId: null,
+  pinnedMessages: [], // of the open chat, most recently pinned first
+  disappearAfterSeconds: null, // disappearing message timer of the open chat; null keeps messages
+  activeThread: null, // {root, replies} of the thread open in the side panel
+  outbox: [], // our messages not yet stored by the server, oldest first (see lib/outbox.js)
+  isThreadLoading: false,
 
   getUsers: async () => {
     set({ isUsersLoading: true });
@@ -22,47 +129,892 @@ export const useChatStore = create((set, get) => ({
     }
   },
 
-  getMessages: async (userId) => {
-    set({ isMessagesLoading: true });
+  getGroups: async () => {
+    try {
+      const res = await axiosInstance.get("/conversations");
+      set({ groups: res.data });
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  },
+
+  getConversations: async () => {
     try {
-      const res = await axiosInstance.get(`/messages/${userId}`);
-      set({ messages: res.data });
+      const res = await axiosInstance.get("/messages/conversations");
+      const conversations = {};
+      lastMessageTimes = {};
+      seenMessageIds = new Set();
+      res.data.forEach(({ user, group, lastMessage, unreadCount }) => {
+        if (!lastMessage) return;
+        conversations[(group || user)._id] = { lastMessage, unreadCount };
+        noteMessageTime((group || user)._id, lastMessage.createdAt);
+        markMessageSeen(lastMessage._id);
+      });
+      set({ conversations });
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  },
+
+  // Record a message as the latest in its conversation
+  updateConversationPreview: (message, { incrementUnread = false } = {}) => {
+    const authUser = useAuthStore.getState().authUser;
+    const chatKey = getChatKey(message, authUser._id);
+    const conversation = get().conversations[chatKey];
+    // Messages still in the outbox carry our own clock's time
+    if (!message.sendStatus) {
+      noteMessageTime(chatKey, message.createdAt);
+      markMessageSeen(message._id);
+    }
+
+    // A message that arrived late doesn't replace a newer one; ours waiting to be sent always
+    // make way for what the server stored
+    const lastMessage = conversation?.lastMessage;
+    const isLatest =
+      !lastMessage ||
+      lastMessage.sendStatus ||
+      lastMessage._id === message._id ||
+      new Date(message.createdAt) >= new Date(lastMessage.createdAt);
+
+    set({
+      conversations: {
+        ...get().conversations,
+        [chatKey]: {
+          lastMessage: isLatest ? message : lastMessage,
+          unreadCount: (conversation?.unreadCount || 0) + (incrementUnread ? 1 : 0),
+        },
+      },
+    });
+  },
+
+  // chatId is the other user of a direct chat or the ID of a group
+  getMessages: async (chatId) => {
+    set({ isMessagesLoading: true, hasMoreMessages: false });
+    try {
+      const res = await axiosInstance.get(`/messages/${chatId}`, {
+        params: { limit: MESSAGE_PAGE_SIZE },
+      });
+
+      // Ignore the page if the user switched conversations while it was loading
+      if (getSelectedChatId(get()) !== chatId) return;
+
+      set({ messages: res.data.messages, hasMoreMessages: res.data.hasMore });
+      get().markMessagesAsRead(chatId);
     } catch (error) {
       toast.error(error.response.data.message);
     } finally {
       set({ isMessagesLoading: false });
     }
   },
-  sendMessage: async (messageData) => {
-    const { selectedUser, messages } = get();
+
+  // Load the page of history that precedes the oldest message currently shown
+  loadOlderMessages: async () => {
+    const { messages, hasMoreMessages, isOlderMessagesLoading } = get();
+    const chatId = getSelectedChatId(get());
+    if (!chatId || !hasMoreMessages || isOlderMessagesLoading || messages.length === 0) return;
+
+    set({ isOlderMessagesLoading: true });
+    try {
+      const res = await axiosInstance.get(`/messages/${chatId}`, {
+        params: {
+          before: messages[0].createdAt,
+          beforeId: messages[0]._id,
+          limit: MESSAGE_PAGE_SIZE,
+        },
+      });
+
+      // Ignore the page if the user switched conversations while it was loading
+      if (getSelectedChatId(get()) !== chatId) return;
+
+      set({
+        messages: [...res.data.messages, ...get().messages],
+        hasMoreMessages: res.data.hasMore,
+      });
+    } catch (error) {
+      toast.error(error.response.data.message);
+    } finally {
+      set({ isOlderMessagesLoading: false });
+    }
+  },
+
+  // Show the message right away and queue it in the outbox, which sends it as soon as it can.
+  // file ({name, size, mimeType}) is shown for an upload until the message is stored; fileKey is
+  // set when the upload was encrypted before it was sent, because the chat was encrypted then
+  sendMessage: async ({ file, fileKey, ...messageData }) => {
+    const authUser = useAuthStore.getState().authUser;
+    const { selectedUser, selectedGroup } = get();
+    const chatId = getSelectedChatId(get());
+    if (!chatId) return false;
+
+    const clientId = crypto.randomUUID();
+    const entry = {
+      clientId,
+      userId: authUser._id,
+      chatId,
+      isGroup: Boolean(selectedGroup),
+      // The composer showed the chat as encrypted, so the message must not go out in plaintext
+      isEncrypted: useEncryptionStore.getState().isEncryptedChat(selectedUser?._id),
+      data: { ...messageData, clientId },
+      fileKey,
+      message: {
+        _id: clientId,
+        clientId,
+        senderId: authUser._id,
+        receiverId: selectedUser?._id,
+        conversationId: selectedGroup?._id,
+        parentMessageId: messageData.parentMessageId || null,
+        text: messageData.text,
+        attachment: file,
+        audio: messageData.voiceNote && { duration: messageData.voiceNote.duration },
+        createdAt: new Date().toISOString(),
+        sendStatus: "pending", // or "failed", with sendError
+      },
+      attempts: 0,
+      nextAttemptAt: 0,
+      createdAt: Date.now(),
+    };
+
+    set({ outbox: [...get().outbox, entry] });
+    get().updateConversationPreview(entry.message);
+    try {
+      await storeOutboxEntry(entry);
+    } catch (error) {
+      // It is still sent from memory, just not kept across reloads
+      console.log("Error saving message to the outbox:", error);
+    }
+
+    get().flushOutbox();
+    return true;
+  },
+
+  // Pick up the messages left in the outbox by an earlier visit, e.g. one that ended offline,
+  // and send them
+  loadOutbox: async () => {
+    const authUser = useAuthStore.getState().authUser;
+    clearTimeout(outboxRetryTimeout);
+    set({ outbox: [] });
+    if (!authUser) return;
+
+    try {
+      const entries = await loadOutboxEntries(authUser._id);
+      if (useAuthStore.getState().authUser?._id !== authUser._id) return;
+      set({ outbox: entries });
+      get().flushOutbox();
+    } catch (error) {
+      console.log("Error loading the outbox:", error);
+    }
+  },
+
+  // Send the outbox in order. A message that can't be sent for now (offline, server trouble) is
+  // tried again with growing delays and holds back the ones after it; one the server refuses, or
+  // that keeps failing, is marked failed and skipped
+  flushOutbox: async () => {
+    if (isFlushingOutbox) return;
+    isFlushingOutbox = true;
+    clearTimeout(outboxRetryTimeout);
+
+    try {
+      for (;;) {
+        const entry = get().outbox.find(({ message }) => message.sendStatus === "pending");
+        if (!entry || !useAuthStore.getState().authUser) return;
+
+        const delay = entry.nextAttemptAt - Date.now();
+        if (delay > 0) {
+          outboxRetryTimeout = setTimeout(() => get().flushOutbox(), delay);
+          return;
+        }
+
+        await get().sendOutboxEntry(entry);
+      }
+    } finally {
+      isFlushingOutbox = false;
+    }
+  },
+
+  // Try a connection that just came back right away instead of waiting out the retry delays
+  retryOutboxNow: () => {
+    get().outbox.forEach((entry) => {
+      if (entry.message.sendStatus === "pending") {
+        get().updateOutboxEntry(entry.clientId, { nextAttemptAt: 0 });
+      }
+    });
+    get().flushOutbox();
+  },
+
+  // One attempt at sending an outbox entry; the server ignores the message if an earlier attempt
+  // already got through, so trying again is always safe
+  sendOutboxEntry: async (entry) => {
+    try {
+      let data = entry.data;
+      // Direct messages are encrypted whenever both sides have keys; they are looked up afresh
+      // so that devices set up since are included. Voice notes can't be encrypted (the composer
+      // doesn't offer them in encrypted chats)
+      const { deviceKey, encryptMessage } = useEncryptionStore.getState();
+      if (!entry.isGroup && !data.voiceNote && (entry.fileKey || entry.isEncrypted || deviceKey)) {
+        const encrypted = await encryptMessage(entry.chatId, {
+          text: data.text || "",
+          file: entry.fileKey || null,
+        });
+        if (encrypted) {
+          data = { ...data, text: "", encrypted };
+        } else if (entry.fileKey || entry.isEncrypted) {
+          // Nobody could open the file, and the text is only sent in plaintext if the user says so
+          get().updateOutboxEntry(entry.clientId, {
+            message: {
+              ...entry.message,
+              sendStatus: "failed",
+              sendError: entry.fileKey
+                ? "The other user turned off encryption. Attach the file again"
+                : ENCRYPTION_TURNED_OFF_ERROR,
+            },
+          });
+          return;
+        }
+      }
+
+      // The socket is quicker and keeps messages in order; REST covers the time it is down
+      const socket = useAuthStore.getState().socket;
+      const message = socket?.connected
+        ? await emitMessage(socket, entry.chatId, data)
+        : (await axiosInstance.post(`/messages/send/${entry.chatId}`, data)).data;
+      get().addSentMessage(message);
+      get().removeOutboxEntry(entry.clientId);
+    } catch (error) {
+      const status = error.response?.status;
+      const attempts = entry.attempts + 1;
+      // Offline, server trouble and rate limiting may pass (as may an acknowledgement that never
+      // came); anything else the server refused
+      const mayPass = !status || status >= 500 || status === 429;
+
+      if (mayPass && attempts < MAX_SEND_ATTEMPTS) {
+        get().updateOutboxEntry(entry.clientId, {
+          attempts,
+          nextAttemptAt:
+            Date.now() + Math.min(OUTBOX_RETRY_BASE_MS * 2 ** entry.attempts, OUTBOX_RETRY_MAX_MS),
+        });
+      } else {
+        get().updateOutboxEntry(entry.clientId, {
+          attempts,
+          message: {
+            ...entry.message,
+            sendStatus: "failed",
+            sendError: error.response?.data?.message || "Not sent. Check your connection",
+          },
+        });
+      }
+    }
+  },
+
+  // Send a failed message again
+  retryMessage: (clientId) => {
+    const entry = get().outbox.find((entry) => entry.clientId === clientId);
+    if (!entry) return;
+
+    get().updateOutboxEntry(clientId, {
+      attempts: 0,
+      nextAttemptAt: 0,
+      // The user chose to send it although the chat is no longer encrypted
+      isEncrypted: entry.isEncrypted && entry.message.sendError !== ENCRYPTION_TURNED_OFF_ERROR,
+      message: { ...entry.message, sendStatus: "pending", sendError: undefined },
+    });
+    get().flushOutbox();
+  },
+
+  // Drop a failed message without sending it
+  discardMessage: (clientId) => {
+    get().removeOutboxEntry(clientId);
+
+    // The preview falls back to the last message that was sent
+    const wasLastMessage = Object.values(get().conversations).some(
+      ({ lastMessage }) => lastMessage._id === clientId
+    );
+    if (wasLastMessage) get().getConversations();
+  },
+
+  updateOutboxEntry: (clientId, changes) => {
+    const outbox = get().outbox.map((entry) =>
+      entry.clientId === clientId ? { ...entry, ...changes } : entry
+    );
+    set({ outbox });
+
+    const entry = outbox.find((entry) => entry.clientId === clientId);
+    if (entry) {
+      storeOutboxEntry(entry).catch((error) => {
+        console.log("Error saving message to the outbox:", error);
+      });
+    }
+  },
+
+  removeOutboxEntry: (clientId) => {
+    set({ outbox: get().outbox.filter((entry) => entry.clientId !== clientId) });
+    deleteOutboxEntry(clientId).catch((error) => {
+      console.log("Error removing message from the outbox:", error);
+    });
+  },
+
+  // Show a message we sent, from the composer or from elsewhere (a scheduled message)
+  addSentMessage: (message) => {
+    const authUser = useAuthStore.getState().authUser;
+    const isInSelectedChat = getChatKey(message, authUser._id) === getSelectedChatId(get());
+    if (isInSelectedChat && !get().messages.some(({ _id }) => _id === message._id)) {
+      set({ messages: [...get().messages, message] });
+    }
+    get().addThreadReply(message);
+    get().updateConversationPreview(message);
+  },
+
+  editMessage: async (messageId, text) => {
     try {
-      const res = await axiosInstance.post(`/messages/send/${selectedUser._id}`, messageData);
-      set({ messages: [...messages, res.data] });
+      const res = await axiosInstance.patch(`/messages/${messageId}`, { text });
+      get().replaceMessage(res.data);
+      return true;
     } catch (error) {
       toast.error(error.response.data.message);
+      return false;
+    }
+  },
+
+  // Preview of a link typed in the composer, or null when there is none to show
+  fetchLinkPreview: async (url) => {
+    try {
+      const res = await axiosInstance.get("/messages/link-preview", { params: { url } });
+      return res.data.linkPreview;
+    } catch (error) {
+      console.log("Error fetching link preview:", error);
+      return null;
+    }
+  },
+
+  removeLinkPreview: async (messageId) => {
+    try {
+      const res = await axiosInstance.delete(`/messages/${messageId}/link-preview`);
+      get().replaceMessage(res.data);
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  },
+
+  // scope is "me" (hide it just for us) or "everyone" (leave a tombstone)
+  deleteMessage: async (messageId, scope) => {
+    try {
+      const res = await axiosInstance.delete(`/messages/${messageId}`, { params: { scope } });
+      if (scope === "me") {
+        set({ messages: get().messages.filter((message) => message._id !== messageId) });
+
+        const { activeThread } = get();
+        if (activeThread?.root._id === messageId) {
+          get().closeThread();
+        } else if (activeThread) {
+          const replies = activeThread.replies.filter((reply) => reply._id !== messageId);
+          set({ activeThread: { ...activeThread, replies } });
+        }
+
+        // The preview may have to fall back to an earlier message
+        const wasLastMessage = Object.values(get().conversations).some(
+          ({ lastMessage }) => lastMessage._id === messageId
+        );
+        if (wasLastMessage) get().getConversations();
+      } else {
+        get().replaceMessage(res.data);
+      }
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  },
+
+  // Add our reaction with this emoji, or remove it if we already reacted with it
+  toggleReaction: async (messageId, emoji) => {
+    const authUser = useAuthStore.getState().authUser;
+    const { messages, activeThread } = get();
+    const message = [...messages, activeThread?.root, ...(activeThread?.replies || [])].find(
+      (message) => message?._id === messageId
+    );
+    if (!message) return;
+
+    const hasReacted = message.reactions?.some(
+      (reaction) => reaction.userId === authUser._id && reaction.emoji === emoji
+    );
+
+    try {
+      const res = hasReacted
+        ? await axiosInstance.delete(
+            `/messages/${messageId}/reactions/${encodeURIComponent(emoji)}`
+          )
+        : await axiosInstance.post(`/messages/${messageId}/reactions`, { emoji });
+      get().setMessageReactions(res.data);
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  },
+
+  setMessageReactions: ({ messageId, reactions }) => {
+    const update = (message) => (message._id === messageId ? { ...message, reactions } : message);
+    set({
+      messages: get().messages.map(update),
+      activeThread: mapThread(get().activeThread, update),
+    });
+  },
+
+  getPinnedMessages: async (chatId) => {
+    try {
+      const res = await axiosInstance.get(`/messages/pins/${chatId}`);
+
+      // Ignore the pins if the user switched conversations while they were loading
+      if (getSelectedChatId(get()) !== chatId) return;
+
+      set({ pinnedMessages: res.data });
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  },
+
+  // Pin the message for everyone in the chat, or unpin it if it is pinned
+  togglePin: async (message) => {
+    try {
+      const res = message.pinnedAt
+        ? await axiosInstance.delete(`/messages/${message._id}/pin`)
+        : await axiosInstance.post(`/messages/${message._id}/pin`);
+      get().applyPinChange(res.data);
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  },
+
+  // A message of the open chat was pinned or unpinned
+  applyPinChange: (message) => {
+    get().replaceMessage(message);
+    if (!message.pinnedAt || get().pinnedMessages.some(({ _id }) => _id === message._id)) return;
+
+    set({
+      pinnedMessages: [...get().pinnedMessages, message].sort(
+        (a, b) => new Date(b.pinnedAt) - new Date(a.pinnedAt)
+      ),
+    });
+  },
+
+  getDisappearingTimer: async (chatId) => {
+    try {
+      const res = await axiosInstance.get(`/messages/disappearing/${chatId}`);
+
+      // Ignore the timer if the user switched conversations while it was loading
+      if (getSelectedChatId(get()) !== chatId) return;
+
+      set({ disappearAfterSeconds: res.data.disappearAfterSeconds });
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  },
+
+  // seconds: 1 hour, 1 day or 7 days; null turns disappearing messages off
+  setDisappearingTimer: async (seconds) => {
+    const chatId = getSelectedChatId(get());
+    try {
+      const res = await axiosInstance.put(`/messages/disappearing/${chatId}`, { seconds });
+      set({ disappearAfterSeconds: seconds });
+      get().addSentMessage(res.data);
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  },
+
+  // Drop messages that no longer exist, such as disappearing messages past their time
+  removeMessages: (messageIds) => {
+    const ids = new Set(messageIds);
+    const { activeThread } = get();
+
+    set({
+      messages: get().messages.filter((message) => !ids.has(message._id)),
+      pinnedMessages: get().pinnedMessages.filter((message) => !ids.has(message._id)),
+    });
+
+    if (activeThread && ids.has(activeThread.root._id)) {
+      get().closeThread();
+    } else if (activeThread) {
+      const replies = activeThread.replies.filter((reply) => !ids.has(reply._id));
+      set({ activeThread: { ...activeThread, replies } });
+    }
+
+    // The preview may have to fall back to an earlier message
+    const wasLastMessage = Object.values(get().conversations).some(({ lastMessage }) =>
+      ids.has(lastMessage._id)
+    );
+    if (wasLastMessage) get().getConversations();
+  },
+
+  // Swap in the latest server copy of a message already in the timeline or the open thread
+  replaceMessage: (updatedMessage) => {
+    const update = (message) => {
+      // Edits and deletions come back without the quoted message; keep the one we have
+      if (message._id === updatedMessage._id) {
+        return { parentMessage: message.parentMessage, ...updatedMessage };
+      }
+      // Keep the quotes of the message current
+      if (message.parentMessage?._id === updatedMessage._id) {
+        return { ...message, parentMessage: updatedMessage };
+      }
+      return message;
+    };
+    set({
+      messages: get().messages.map(update),
+      activeThread: mapThread(get().activeThread, update),
+      // Unpinned and deleted messages leave the pinned bar
+      pinnedMessages: get()
+        .pinnedMessages.map(update)
+        .filter((message) => message.pinnedAt),
+    });
+
+    const conversation = Object.values(get().conversations).find(
+      ({ lastMessage }) => lastMessage._id === updatedMessage._id
+    );
+    if (conversation) get().updateConversationPreview(updatedMessage);
+  },
+
+  // Load a thread into the side panel; the ID of any of its messages opens it
+  openThread: async (messageId) => {
+    const chatId = getSelectedChatId(get());
+    set({ activeThread: null, isThreadLoading: true });
+    try {
+      const res = await axiosInstance.get(`/messages/thread/${messageId}`);
+
+      // Ignore the thread if the user switched conversations while it was loading
+      if (getSelectedChatId(get()) !== chatId) return;
+
+      set({ activeThread: res.data });
+    } catch (error) {
+      toast.error(error.response.data.message);
+    } finally {
+      set({ isThreadLoading: false });
+    }
+  },
+
+  closeThread: () => set({ activeThread: null }),
+
+  // Add a new message to the open thread if it is one of its replies
+  addThreadReply: (message) => {
+    const { activeThread } = get();
+    if (!activeThread || activeThread.root._id !== message.parentMessageId) return;
+    if (activeThread.replies.some((reply) => reply._id === message._id)) return;
+
+    set({ activeThread: { ...activeThread, replies: [...activeThread.replies, message] } });
+  },
+
+  // Reply count and last-reply time of a thread's root message changed
+  setThreadSummary: ({ messageId, replyCount, lastReplyAt }) => {
+    const update = (message) =>
+      message._id === messageId ? { ...message, replyCount, lastReplyAt } : message;
+    set({
+      messages: get().messages.map(update),
+      activeThread: mapThread(get().activeThread, update),
+    });
+  },
+
+  // Fetch the messages sent in any chat while the socket was down and merge them in
+  syncMissedMessages: async () => {
+    const times = Object.values(lastMessageTimes);
+    // Without a message to start from, the conversation list is simply loaded again
+    if (times.length === 0) return get().getConversations();
+
+    // Messages seen again in the overlap are skipped by their ID
+    const since = new Date(new Date(latestTime(times)) - SYNC_OVERLAP_MS).toISOString();
+    let params = { since };
+    try {
+      for (;;) {
+        const res = await axiosInstance.get("/messages/sync", { params });
+        get().mergeSyncedMessages(res.data.messages);
+        if (!res.data.hasMore) break;
+        const lastMessage = res.data.messages.at(-1);
+        params = { since: lastMessage.createdAt, afterId: lastMessage._id };
+      }
+    } catch (error) {
+      console.log("Error syncing messages:", error);
+    }
+  },
+
+  // Add synced messages (oldest first) the way "newMessage" events would have, skipping the ones
+  // we have seen already
+  mergeSyncedMessages: (syncedMessages) => {
+    const authUser = useAuthStore.getState().authUser;
+    const chatId = getSelectedChatId(get());
+    const newInOpenChat = [];
+
+    syncedMessages.forEach((message) => {
+      const chatKey = getChatKey(message, authUser._id);
+      const isOpen = chatKey === chatId;
+
+      // One of ours whose send went through even though we never heard back
+      if (get().outbox.some((entry) => entry.clientId === message.clientId)) {
+        get().removeOutboxEntry(message.clientId);
+      }
+
+      if (isOpen && !get().messages.some(({ _id }) => _id === message._id)) {
+        newInOpenChat.push(message);
+        if (message.systemEvent?.kind === "disappearingTimerChanged") {
+          set({ disappearAfterSeconds: message.systemEvent.disappearAfterSeconds ?? null });
+        }
+      }
+      get().addThreadReply(message);
+
+      if (!seenMessageIds.has(message._id)) {
+        const isUnread = !isOpen && message.senderId !== authUser._id && !message.readAt;
+        get().updateConversationPreview(message, { incrementUnread: isUnread });
+      }
+    });
+
+    if (newInOpenChat.length === 0) return;
+    set({
+      messages: [...get().messages, ...newInOpenChat].sort(
+        (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
+      ),
+    });
+    get().markMessagesAsRead(chatId);
+  },
+
+  // Mark everything in the chat (a user's direct messages to us, or a group) as read
+  markMessagesAsRead: async (chatId) => {
+    const authUser = useAuthStore.getState().authUser;
+    const hasUnread =
+      get().conversations[chatId]?.unreadCount > 0 ||
+      get().messages.some(
+        (message) =>
+          message.senderId === chatId && message.receiverId === authUser._id && !message.readAt
+      );
+    if (!hasUnread) return;
+
+    try {
+      const res = await axiosInstance.put(`/messages/read/${chatId}`);
+      const { messageIds, readAt } = res.data;
+
+      const conversation = get().conversations[chatId];
+      if (conversation) {
+        set({
+          conversations: { ...get().conversations, [chatId]: { ...conversation, unreadCount: 0 } },
+        });
+      }
+      if (messageIds.length === 0) return;
+
+      set({ messages: applyReceipt(get().messages, messageIds, { deliveredAt: readAt, readAt }) });
+    } catch (error) {
+      console.log("Error marking messages as read:", error);
     }
   },
 
   subscribeToMessages: () => {
-    const { selectedUser } = get();
-    if (!selectedUser) return;
+    const { selectedUser, selectedGroup } = get();
+    if (!selectedUser && !selectedGroup) return;
 
     const socket = useAuthStore.getState().socket;
 
-    socket.on("newMessage", (newMessage) => {
-      const isMessageSentFromSelectedUser = newMessage.senderId === selectedUser._id;
-      if (!isMessageSentFromSelectedUser) return;
+    newMessageListener = (newMessage) => {
+      const isMessageInSelectedChat = selectedGroup
+        ? isGroupMessage(newMessage) && newMessage.conversationId === selectedGroup._id
+        : !isGroupMessage(newMessage) && newMessage.senderId === selectedUser._id;
+      // Already merged in by a sync after a reconnect
+      if (!isMessageInSelectedChat || get().messages.some(({ _id }) => _id === newMessage._id)) {
+        return;
+      }
 
       set({
         messages: [...get().messages, newMessage],
       });
+      if (newMessage.systemEvent?.kind === "disappearingTimerChanged") {
+        set({ disappearAfterSeconds: newMessage.systemEvent.disappearAfterSeconds ?? null });
+      }
+      get().addThreadReply(newMessage);
+      get().markMessagesAsRead(getSelectedChatId(get()));
+    };
+    socket.on("newMessage", newMessageListener);
+
+    socket.on("messagesDelivered", ({ messageIds, deliveredAt }) => {
+      set({ messages: applyReceipt(get().messages, messageIds, { deliveredAt }) });
+    });
+
+    socket.on("messagesRead", ({ messageIds, readAt }) => {
+      set({ messages: applyReceipt(get().messages, messageIds, { readAt }) });
+    });
+
+    socket.on("messageUpdated", (updatedMessage) => {
+      get().replaceMessage(updatedMessage);
+    });
+
+    socket.on("messageDeleted", (deletedMessage) => {
+      get().replaceMessage(deletedMessage);
+    });
+
+    socket.on("messageReactionsUpdated", (update) => {
+      get().setMessageReactions(update);
+    });
+
+    socket.on("threadUpdated", (summary) => {
+      get().setThreadSummary(summary);
+    });
+
+    socket.on("messagePinUpdated", (message) => {
+      const authUser = useAuthStore.getState().authUser;
+      if (getChatKey(message, authUser._id) !== getSelectedChatId(get())) return;
+      get().applyPinChange(message);
     });
   },
 
   unsubscribeFromMessages: () => {
     const socket = useAuthStore.getState().socket;
-    socket.off("newMessage");
+    if (newMessageListener) socket.off("newMessage", newMessageListener);
+    socket.off("messagesDelivered");
+    socket.off("messagesRead");
+    socket.off("messageUpdated");
+    socket.off("messageDeleted");
+    socket.off("messageReactionsUpdated");
+    socket.off("threadUpdated");
+    socket.off("messagePinUpdated");
+    newMessageListener = null;
+  },
+
+  // Keep previews and unread badges current for every conversation, open or not
+  subscribeToConversations: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    conversationListener = (newMessage) => {
+      const authUser = useAuthStore.getState().authUser;
+      const isOpen = getChatKey(newMessage, authUser._id) === getSelectedChatId(get());
+      // Already counted by a sync that ran as it arrived
+      if (seenMessageIds.has(newMessage._id)) return;
+      get().updateConversationPreview(newMessage, { incrementUnread: !isOpen });
+    };
+    socket.on("newMessage", conversationListener);
+
+    // Catch up on the messages sent while the connection was down
+    reconnectListener = () => get().syncMissedMessages();
+    socket.io.on("reconnect", reconnectListener);
+
+    // Disappearing messages deleted by the server, in any conversation
+    socket.on("messagesExpired", ({ messageIds }) => get().removeMessages(messageIds));
+
+    // Group created, renamed or with changed membership
+    socket.on("groupUpdated", (group) => get().upsertGroup(group));
+
+    socket.on("groupRemoved", ({ conversationId }) => {
+      const group = get().groups.find((group) => group._id === conversationId);
+      if (group) toast(`You were removed from ${group.name}`);
+      get().removeGroup(conversationId);
+    });
+  },
+
+  unsubscribeFromConversations: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+    if (conversationListener) socket.off("newMessage", conversationListener);
+    if (reconnectListener) socket.io.off("reconnect", reconnectListener);
+    socket.off("messagesExpired");
+    socket.off("groupUpdated");
+    socket.off("groupRemoved");
+    conversationListener = null;
+    reconnectListener = null;
+  },
+
+  createGroup: async ({ name, memberIds }) => {
+    try {
+      const res = await axiosInstance.post("/conversations", { name, memberIds });
+      get().upsertGroup(res.data);
+      get().setSelectedGroup(res.data);
+      return true;
+    } catch (error) {
+      toast.error(error.response.data.message);
+      return false;
+    }
+  },
+
+  // data: { name, avatarUploadId } with the ID of an uploaded image
+  updateGroup: async (groupId, data) => {
+    try {
+      const res = await axiosInstance.patch(`/conversations/${groupId}`, data);
+      get().upsertGroup(res.data);
+      return true;
+    } catch (error) {
+      toast.error(error.response.data.message);
+      return false;
+    }
+  },
+
+  addGroupMembers: async (groupId, memberIds) => {
+    try {
+      const res = await axiosInstance.post(`/conversations/${groupId}/members`, { memberIds });
+      get().upsertGroup(res.data);
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  },
+
+  removeGroupMember: async (groupId, userId) => {
+    try {
+      const res = await axiosInstance.delete(`/conversations/${groupId}/members/${userId}`);
+      get().upsertGroup(res.data);
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
   },
 
-  setSelectedUser: (selectedUser) => set({ selectedUser }),
+  leaveGroup: async (groupId) => {
+    try {
+      await axiosInstance.post(`/conversations/${groupId}/leave`);
+      get().removeGroup(groupId);
+      toast.success("You left the group");
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  },
+
+  upsertGroup: (group) => {
+    const exists = get().groups.some(({ _id }) => _id === group._id);
+    set({
+      groups: exists
+        ? get().groups.map((existing) => (existing._id === group._id ? group : existing))
+        : [group, ...get().groups],
+      selectedGroup: get().selectedGroup?._id === group._id ? group : get().selectedGroup,
+    });
+  },
+
+  removeGroup: (groupId) => {
+    const conversations = { ...get().conversations };
+    delete conversations[groupId];
+    set({ groups: get().groups.filter((group) => group._id !== groupId), conversations });
+    if (get().selectedGroup?._id === groupId) get().selectChat(null);
+  },
+
+  // Open a chat (a user or a group) and scroll to one of its messages, loading older history as needed
+  jumpToMessage: (chat, messageId) => {
+    get().selectChat(chat);
+    set({ jumpTargetId: messageId });
+  },
+
+  clearJumpTarget: () => set({ jumpTargetId: null }),
+
+  highlightMessage: (messageId) => {
+    set({ highlightedMessageId: messageId });
+    setTimeout(() => {
+      if (get().highlightedMessageId === messageId) set({ highlightedMessageId: null });
+    }, HIGHLIGHT_DURATION_MS);
+  },
+
+  // Open a direct chat with a user, or a group conversation (type "group"); null closes the chat
+  selectChat: (chat) => {
+    const isGroup = chat?.type === "group";
+    const selection = { selectedUser: isGroup ? null : chat, selectedGroup: isGroup ? chat : null };
+    if (chat?._id === getSelectedChatId(get())) return set(selection);
+
+    // Drop the previous conversation right away so it is never shown or paged under the new one
+    set({
+      ...selection,
+      messages: [],
+      hasMoreMessages: false,
+      isMessagesLoading: Boolean(chat),
+      jumpTargetId: null,
+      pinnedMessages: [],
+      disappearAfterSeconds: null,
+      activeThread: null,
+    });
+  },
+
+  setSelectedUser: (selectedUser) => get().selectChat(selectedUser),
+
+  setSelectedGroup: (selectedGroup) => get().selectChat(selectedGroup),
 }));
\ No newline at end of file
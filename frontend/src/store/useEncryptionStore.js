@@ -0,0 +1,266 @@
+import { create } from "zustand";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { axiosInstance } from "../lib/axios";
+import { useAuthStore } from "./useAuthStore";
+import {
+  decryptContent,
+  decryptFile,
+  encryptContent,
+  generateDeviceKey,
+  getKeyFingerprint,
+  getStoredDeviceKey,
+  removeStoredDeviceKey,
+  storeDeviceKey,
+} from "../lib/e2ee";
+
+// Fingerprints of users' keys as we last accepted them, our own included (messages are encrypted
+// for our other devices too): {myId: {userId: fingerprint}}
+const KNOWN_KEYS_STORAGE_KEY = "chat-known-keys";
+
+const readKnownFingerprints = (myId) =>
+  JSON.parse(localStorage.getItem(KNOWN_KEYS_STORAGE_KEY) || "{}")[myId] || {};
+
+const writeKnownFingerprint = (myId, userId, fingerprint) => {
+  const known = JSON.parse(localStorage.getItem(KNOWN_KEYS_STORAGE_KEY) || "{}");
+  known[myId] = { ...known[myId], [userId]: fingerprint };
+  localStorage.setItem(KNOWN_KEYS_STORAGE_KEY, JSON.stringify(known));
+};
+
+// Our own devices changed on purpose, by adding or removing this one: accept the new set, unless
+// it was already different from the accepted one (the warning for that stays)
+const acceptOwnDevices = async (myId, devices) => {
+  const knownFingerprint = readKnownFingerprints(myId)[myId];
+  const { changedKeyUserIds } = useEncryptionStore.getState();
+  if (knownFingerprint && changedKeyUserIds.includes(myId)) return;
+
+  writeKnownFingerprint(myId, myId, await getKeyFingerprint(devices));
+};
+
+// Messages being decrypted right now, so that each is only worked on once
+const pendingDecryptions = new Set();
+
+// Download and decrypt the file of an encrypted message; resolves to it as a local attachment
+const openEncryptedFile = async (url, fileKey) => {
+  const res = await axios.get(url, { responseType: "arraybuffer" });
+  const blob = await decryptFile(res.data, fileKey);
+  return {
+    url: URL.createObjectURL(blob),
+    name: fileKey.name,
+    size: fileKey.size,
+    mimeType: fileKey.mimeType,
+  };
+};
+
+// The message as it is shown: an encrypted one gets its decrypted text and file in place of the
+// ciphertext and the anonymous upload, and decryptionFailed once it turned out it can't be read
+// (always, without a key on this device)
+export const withDecryptedContent = (message, { deviceKey, decryptedMessages }) => {
+  if (!message?.encrypted || message.deletedAt) return message;
+
+  const content = decryptedMessages[message._id];
+  const file = content?.file;
+  const isImage = file?.mimeType.startsWith("image/");
+  return {
+    ...message,
+    text: content?.text,
+    image: isImage ? file.url : undefined,
+    imageDetails: undefined,
+    attachment: file && !isImage ? file : undefined,
+    isDecrypted: Boolean(content && !content.error),
+    decryptionFailed: !deviceKey || Boolean(content?.error),
+    parentMessage: withDecryptedContent(message.parentMessage, { deviceKey, decryptedMessages }),
+  };
+};
+
+export const useEncryptionStore = create((set, get) => ({
+  deviceKey: null, // this device's key for the logged-in user, once encryption is set up here
+  isUpdatingEncryption: false,
+  deviceKeys: {}, // {userId: [published device]}, as last fetched
+  changedKeyUserIds: [], // users whose keys changed since we last accepted them
+  decryptedMessages: {}, // {messageId: {text, file}, or {error: true} when it can't be read}
+
+  // Pick up this device's key for the logged-in user, if encryption was set up here before
+  loadDeviceKey: async () => {
+    const authUser = useAuthStore.getState().authUser;
+    get().resetEncryption();
+    if (!authUser) return;
+
+    try {
+      const deviceKey = await getStoredDeviceKey(authUser._id);
+      if (useAuthStore.getState().authUser?._id === authUser._id) {
+        set({ deviceKey: deviceKey || null });
+      }
+    } catch (error) {
+      console.log("Error loading device key:", error);
+    }
+  },
+
+  // Forget everything about the previous user, such as on logout
+  resetEncryption: () => {
+    Object.values(get().decryptedMessages).forEach((content) => {
+      if (content.file) URL.revokeObjectURL(content.file.url);
+    });
+    set({ deviceKey: null, deviceKeys: {}, changedKeyUserIds: [], decryptedMessages: {} });
+  },
+
+  // Set up encryption on this device: make a key pair and publish its public key
+  enableEncryption: async () => {
+    const authUser = useAuthStore.getState().authUser;
+    set({ isUpdatingEncryption: true });
+    try {
+      // Checked first, so that only the device added here is accepted without a warning
+      const myDevices = await get().getDeviceKeys(authUser._id);
+      if (!myDevices) throw new Error("Could not load the encryption keys");
+
+      const deviceKey = await generateDeviceKey();
+      await axiosInstance.put(`/keys/devices/${deviceKey.deviceId}`, {
+        publicKey: deviceKey.publicKey,
+      });
+      await storeDeviceKey(authUser._id, deviceKey);
+      await acceptOwnDevices(authUser._id, [...myDevices, deviceKey]);
+      set({ deviceKey, deviceKeys: {}, decryptedMessages: {} });
+      toast.success("End-to-end encryption is on for this device");
+    } catch (error) {
+      console.log("Error enabling encryption:", error);
+      toast.error(error.response?.data?.message || "Could not set up encryption");
+    } finally {
+      set({ isUpdatingEncryption: false });
+    }
+  },
+
+  // Withdraw this device: messages are no longer encrypted for it, and the ones that were can no
+  // longer be read here
+  disableEncryption: async () => {
+    const authUser = useAuthStore.getState().authUser;
+    const { deviceKey } = get();
+    if (!deviceKey) return;
+
+    set({ isUpdatingEncryption: true });
+    try {
+      const myDevices = await get().getDeviceKeys(authUser._id);
+      await axiosInstance.delete(`/keys/devices/${deviceKey.deviceId}`).catch((error) => {
+        // Already withdrawn, e.g. from another tab
+        if (error.response?.status !== 404) throw error;
+      });
+      await removeStoredDeviceKey(authUser._id);
+      if (myDevices) {
+        await acceptOwnDevices(
+          authUser._id,
+          myDevices.filter((device) => device.deviceId !== deviceKey.deviceId)
+        );
+      }
+      get().resetEncryption();
+      toast.success("End-to-end encryption is off for this device");
+    } catch (error) {
+      console.log("Error disabling encryption:", error);
+      toast.error(error.response?.data?.message || "Could not turn off encryption");
+    } finally {
+      set({ isUpdatingEncryption: false });
+    }
+  },
+
+  // Fetch a user's published devices and check them against the ones we accepted before (the
+  // first ones seen are trusted). Resolves to the devices, or null when they could not be loaded
+  getDeviceKeys: async (userId) => {
+    const authUser = useAuthStore.getState().authUser;
+    try {
+      const res = await axiosInstance.get(`/keys/${userId}`);
+      const devices = res.data;
+      set({ deviceKeys: { ...get().deviceKeys, [userId]: devices } });
+
+      if (devices.length > 0) {
+        const fingerprint = await getKeyFingerprint(devices);
+        const knownFingerprint = readKnownFingerprints(authUser._id)[userId];
+        if (!knownFingerprint) {
+          writeKnownFingerprint(authUser._id, userId, fingerprint);
+        } else if (
+          knownFingerprint !== fingerprint &&
+          !get().changedKeyUserIds.includes(userId)
+        ) {
+          set({ changedKeyUserIds: [...get().changedKeyUserIds, userId] });
+        }
+      }
+
+      return devices;
+    } catch (error) {
+      console.log("Error loading device keys:", error);
+      return null;
+    }
+  },
+
+  // Trust a user's current keys, e.g. after comparing safety numbers
+  acceptKeyChange: async (userId) => {
+    const authUser = useAuthStore.getState().authUser;
+    const devices = get().deviceKeys[userId];
+    if (!devices) return;
+
+    writeKnownFingerprint(authUser._id, userId, await getKeyFingerprint(devices));
+    set({ changedKeyUserIds: get().changedKeyUserIds.filter((id) => id !== userId) });
+  },
+
+  // Direct chats are encrypted once both this device and the other user have keys
+  isEncryptedChat: (userId) =>
+    Boolean(get().deviceKey && userId && get().deviceKeys[userId]?.length > 0),
+
+  // Encrypt a direct message's content ({text, file}) for every device of both users. Resolves to
+  // null when the other user has no keys (any more), so the message can't be encrypted
+  encryptMessage: async (partnerId, content) => {
+    const authUser = useAuthStore.getState().authUser;
+    const [partnerDevices, myDevices] = await Promise.all([
+      get().getDeviceKeys(partnerId),
+      get().getDeviceKeys(authUser._id),
+    ]);
+    if (!partnerDevices || !myDevices) {
+      throw new Error("Could not load the encryption keys");
+    }
+    if (partnerDevices.length === 0) return null;
+
+    return encryptContent(content, [...myDevices, ...partnerDevices]);
+  },
+
+  // Decrypt the encrypted messages among these that haven't been yet, files included
+  decryptMessages: async (messages) => {
+    const authUser = useAuthStore.getState().authUser;
+    const { deviceKey, decryptedMessages } = get();
+    if (!deviceKey) return;
+
+    const toDecrypt = messages.filter(
+      (message) =>
+        message?.encrypted &&
+        !decryptedMessages[message._id] &&
+        !pendingDecryptions.has(message._id)
+    );
+
+    await Promise.all(
+      toDecrypt.map(async (message) => {
+        pendingDecryptions.add(message._id);
+        let decrypted;
+        try {
+          const content = await decryptContent(message.encrypted, authUser._id, deviceKey);
+          decrypted = content
+            ? {
+                text: content.text || "",
+                file:
+                  content.file && message.attachment
+                    ? await openEncryptedFile(message.attachment.url, content.file)
+                    : null,
+              }
+            : { error: true };
+        } catch (error) {
+          console.log("Error decrypting message:", error);
+          decrypted = { error: true };
+        } finally {
+          pendingDecryptions.delete(message._id);
+        }
+
+        // Encryption was turned off or the user changed in the meantime
+        if (get().deviceKey !== deviceKey) {
+          if (decrypted.file) URL.revokeObjectURL(decrypted.file.url);
+          return;
+        }
+        set({ decryptedMessages: { ...get().decryptedMessages, [message._id]: decrypted } });
+      })
+    );
+  },
+}));
@@ -0,0 +1,111 @@
+import { create } from "zustand";
+import toast from "react-hot-toast";
+import { axiosInstance } from "../lib/axios";
+import { useAuthStore } from "./useAuthStore";
+import { useChatStore } from "./useChatStore";
+
+const bySendAt = (a, b) => new Date(a.sendAt) - new Date(b.sendAt);
+
+// Failing to send now is reported both by the request and over the socket; one toast is enough
+const getFailureToastId = (scheduledMessageId) => `scheduled-message-${scheduledMessageId}`;
+
+export const useScheduledMessageStore = create((set, get) => ({
+  scheduledMessages: [], // ours that have not been sent yet, soonest first
+  isScheduledLoading: false,
+
+  getScheduledMessages: async () => {
+    set({ isScheduledLoading: true });
+    try {
+      const res = await axiosInstance.get("/scheduled-messages");
+      set({ scheduledMessages: res.data });
+    } catch (error) {
+      toast.error(error.response.data.message);
+    } finally {
+      set({ isScheduledLoading: false });
+    }
+  },
+
+  // Add or update a scheduled message in the list
+  upsertScheduledMessage: (scheduledMessage) => {
+    const others = get().scheduledMessages.filter(({ _id }) => _id !== scheduledMessage._id);
+    set({ scheduledMessages: [...others, scheduledMessage].sort(bySendAt) });
+  },
+
+  removeScheduledMessage: (scheduledMessageId) => {
+    set({
+      scheduledMessages: get().scheduledMessages.filter(({ _id }) => _id !== scheduledMessageId),
+    });
+  },
+
+  // chatId is the other user of a direct chat or a group; data is what sendMessage takes plus
+  // sendAt, the time to send it at
+  scheduleMessage: async (chatId, data) => {
+    try {
+      const res = await axiosInstance.post("/scheduled-messages", { ...data, chatId });
+      get().upsertScheduledMessage(res.data);
+      toast.success("Message scheduled");
+      return true;
+    } catch (error) {
+      toast.error(error.response.data.message);
+      return false;
+    }
+  },
+
+  // data: { text, sendAt }, either optional
+  updateScheduledMessage: async (scheduledMessageId, data) => {
+    try {
+      const res = await axiosInstance.patch(`/scheduled-messages/${scheduledMessageId}`, data);
+      get().upsertScheduledMessage(res.data);
+      return true;
+    } catch (error) {
+      toast.error(error.response.data.message);
+      return false;
+    }
+  },
+
+  sendScheduledMessageNow: async (scheduledMessageId) => {
+    try {
+      const res = await axiosInstance.post(`/scheduled-messages/${scheduledMessageId}/send`);
+      get().removeScheduledMessage(scheduledMessageId);
+      useChatStore.getState().addSentMessage(res.data);
+    } catch (error) {
+      toast.error(error.response.data.message, { id: getFailureToastId(scheduledMessageId) });
+    }
+  },
+
+  cancelScheduledMessage: async (scheduledMessageId) => {
+    try {
+      await axiosInstance.delete(`/scheduled-messages/${scheduledMessageId}`);
+      get().removeScheduledMessage(scheduledMessageId);
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  },
+
+  // Messages the server sent for us, or could not send
+  subscribeToScheduledMessages: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    socket.on("scheduledMessageSent", ({ scheduledMessageId, message }) => {
+      get().removeScheduledMessage(scheduledMessageId);
+      useChatStore.getState().addSentMessage(message);
+    });
+
+    socket.on("scheduledMessageUpdated", (scheduledMessage) => {
+      get().upsertScheduledMessage(scheduledMessage);
+      if (scheduledMessage.status === "failed") {
+        toast.error(`A scheduled message could not be sent: ${scheduledMessage.error}`, {
+          id: getFailureToastId(scheduledMessage._id),
+        });
+      }
+    });
+  },
+
+  unsubscribeFromScheduledMessages: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+    socket.off("scheduledMessageSent");
+    socket.off("scheduledMessageUpdated");
+  },
+}));
@@ -0,0 +1,47 @@
+import { create } from "zustand";
+import toast from "react-hot-toast";
+import { axiosInstance } from "../lib/axios";
+
+export const useSearchStore = create((set, get) => ({
+  isSearchOpen: false,
+  results: [],
+  page: 1,
+  hasMore: false,
+  isSearching: false,
+  lastParams: null,
+
+  toggleSearch: () => set({ isSearchOpen: !get().isSearchOpen }),
+  closeSearch: () => set({ isSearchOpen: false }),
+
+  // params: { q, userId, from, to, hasImage }
+  searchMessages: async (params, page = 1) => {
+    if (!params.q?.trim()) {
+      set({ results: [], page: 1, hasMore: false, lastParams: null });
+      return;
+    }
+
+    set({ isSearching: true, lastParams: params });
+    try {
+      const res = await axiosInstance.get("/messages/search", { params: { ...params, page } });
+
+      // Drop responses for a query that has since been replaced
+      if (get().lastParams !== params) return;
+
+      set({
+        results: page === 1 ? res.data.results : [...get().results, ...res.data.results],
+        page: res.data.page,
+        hasMore: res.data.hasMore,
+      });
+    } catch (error) {
+      toast.error(error.response.data.message);
+    } finally {
+      set({ isSearching: false });
+    }
+  },
+
+  loadMoreResults: () => {
+    const { lastParams, page, hasMore, isSearching } = get();
+    if (!lastParams || !hasMore || isSearching) return;
+    get().searchMessages(lastParams, page + 1);
+  },
+}));